@@ -6,14 +6,74 @@ const mysql = require('mysql2/promise');
 const session = require('express-session');
 const MySQLStore = require('express-mysql-session')(session);
 const crypto = require('crypto');
+const { createProviderFromEnv } = require('./llm/providers');
+const { createModerator } = require('./llm/moderation');
+const { createRegistry } = require('./llm/metrics');
+const { createGenerationQueue } = require('./llm/queue');
+const { createQuotaManager } = require('./llm/quotas');
+const { HINT_LEVELS, HINT_INSTRUCTIONS, createHintTracker } = require('./llm/hints');
+const { createRetriever } = require('./llm/retrieval');
+const { TRACE_LANGUAGES, DEFAULT_TRACE_PROMPT, buildTraceInstructions, buildTraceMessage, parseDivergentLines, countLines } = require('./llm/trace');
+const { resolveLanguage } = require('./runner/languages');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server, path: "/ws/llm" });
 
 const PORT = process.env.PORT || 8000;
-const MODEL_NAME = process.env.MODEL_NAME || "codellama:latest";
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434";
+// LLM backend - LLM_PROVIDER=ollama|openai|mock, see llm/providers.js
+const llm = createProviderFromEnv();
+// Comma-separated models clients may pick; empty means any installed model
+const ALLOWED_MODELS = (process.env.ALLOWED_MODELS || '')
+  .split(',')
+  .map(m => m.trim())
+  .filter(Boolean);
+// Bounds for client-supplied generation options
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  num_ctx: { min: 512, max: parseInt(process.env.MAX_NUM_CTX) || 8192 },
+  max_tokens: { min: 1, max: parseInt(process.env.MAX_TOKENS_LIMIT) || 2048 }
+};
+// Rough token budget for prior turns replayed into each prompt (~4 chars per token)
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 2048;
+const HISTORY_MAX_MESSAGES = parseInt(process.env.HISTORY_MAX_MESSAGES) || 40;
+// Longest question description copied into the system prompt
+const QUESTION_CONTEXT_MAX_CHARS = parseInt(process.env.QUESTION_CONTEXT_MAX_CHARS) || 4000;
+// Retrieval over questions + knowledge docs injected into each prompt
+const RAG_ENABLED = process.env.RAG_ENABLED !== 'false';
+const RAG_TOP_K = parseInt(process.env.RAG_TOP_K) || 4;
+const RAG_MIN_SIMILARITY = parseFloat(process.env.RAG_MIN_SIMILARITY) || 0.3;
+const RAG_SNIPPET_CHARS = parseInt(process.env.RAG_SNIPPET_CHARS) || 800;
+const RAG_REFRESH_MINUTES = parseInt(process.env.RAG_REFRESH_MINUTES) || 10;
+// Link returned with question citations, e.g. http://localhost:3000/question.html?id={id}
+const QUESTION_LINK_TEMPLATE = process.env.QUESTION_LINK_TEMPLATE || null;
+// Lower-level hints a user must take before the full solution unlocks
+const HINTS_BEFORE_SOLUTION = parseInt(process.env.HINTS_BEFORE_SOLUTION) || 3;
+// Largest source accepted by the "Trace my code" action
+const TRACE_MAX_CODE_CHARS = parseInt(process.env.TRACE_MAX_CODE_CHARS) || 12000;
+// Generations allowed to run against the backend at once; the rest wait in line
+const MAX_CONCURRENT_GENERATIONS = parseInt(process.env.MAX_CONCURRENT_GENERATIONS) || 1;
+const MAX_QUEUED_REQUESTS = parseInt(process.env.MAX_QUEUED_REQUESTS) || 50;
+// Outstanding (queued + running) requests per logged-in user / per guest IP
+const MAX_OUTSTANDING_PER_USER = parseInt(process.env.MAX_OUTSTANDING_PER_USER) || 3;
+const MAX_OUTSTANDING_PER_GUEST = parseInt(process.env.MAX_OUTSTANDING_PER_GUEST) || 1;
+const QUEUE_PRIORITY = { user: 0, guest: 1 };
+// Quota tiers - guests are limited per IP, logged-in users per account
+const QUOTA_TIERS = {
+  guest: {
+    requestsPerMinute: parseInt(process.env.GUEST_REQUESTS_PER_MINUTE) || 5,
+    tokensPerDay: parseInt(process.env.GUEST_TOKENS_PER_DAY) || 20000
+  },
+  user: {
+    requestsPerMinute: parseInt(process.env.USER_REQUESTS_PER_MINUTE) || 20,
+    tokensPerDay: parseInt(process.env.USER_TOKENS_PER_DAY) || 200000
+  }
+};
+// Comma-separated emails allowed to use the /api/admin endpoints
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
 
 // Generate secure session secret - MUST MATCH PORT 3000 SERVER!
 const generateSessionSecret = () => {
@@ -64,108 +124,22 @@ app.use(session({
   }
 }));
 
-// Coding keywords filter - REMOVED SINGLE LETTERS
-const CODING_KEYWORDS = [
-  'code', 'programming', 'algorithm', 'function', 'variable', 'loop', 'array',
-  'string', 'object', 'class', 'method', 'python', 'javascript', 'java', 'cpp',
-  'c++', 'html', 'css', 'react', 'node', 'sql', 'database', 'api', 'debug',
-  'compile', 'syntax', 'error', 'exception', 'stack', 'queue', 'linked list',
-  'binary tree', 'graph', 'sort', 'search', 'dynamic programming', 'recursion',
-  'oop', 'functional programming', 'backend', 'frontend', 'fullstack', 'devops',
-  'git', 'github', 'vscode', 'terminal', 'command line', 'server', 'client',
-  'http', 'https', 'json', 'xml', 'rest', 'graphql', 'authentication',
-  'authorization', 'encryption', 'hashing', 'database', 'mysql', 'mongodb',
-  'postgresql', 'orm', 'middleware', 'framework', 'library', 'package',
-  'dependency', 'npm', 'pip', 'docker', 'kubernetes', 'aws', 'azure',
-  'deployment', 'ci/cd', 'testing', 'unit test', 'integration test',
-  'leetcode', 'hackerrank', 'codeforces', 'dsa', 'data structure',
-  'time complexity', 'space complexity', 'big o', 'optimization',
-  'refactor', 'clean code', 'design pattern', 'architecture', 'microservices',
-  'machine learning', 'ai', 'neural network', 'deep learning', 'tensorflow',
-  'pytorch', 'pandas', 'numpy', 'data science', 'web development',
-  'mobile development', 'desktop application', 'game development',
-  'embedded systems', 'iot', 'blockchain', 'smart contract', 'web3',
-  'cybersecurity', 'encryption', 'cryptography', 'authentication',
-  'jwt', 'oauth', 'session', 'cookie', 'localstorage', 'redux', 'vue',
-  'angular', 'svelte', 'typescript', 'rust', 'go', 'swift', 'kotlin',
-  'php', 'ruby', 'perl', 'bash', 'shell', 'linux', 'windows', 'macos',
-  'api', 'endpoint', 'route', 'controller', 'model', 'view', 'template',
-  'component', 'hook', 'state', 'props', 'context', 'router', 'navigation',
-  'ui', 'ux', 'responsive design', 'css grid', 'flexbox', 'bootstrap',
-  'tailwind', 'sass', 'less', 'webpack', 'babel', 'vite', 'parcel',
-  'authentication', 'login', 'signup', 'register', 'password', 'email',
-  'verification', 'reset password', 'profile', 'user account', 'settings',
-  'dashboard', 'admin', 'moderator', 'permissions', 'roles', 'acl',
-  'logging', 'monitoring', 'analytics', 'metrics', 'performance',
-  'optimization', 'caching', 'cdn', 'load balancing', 'scalability',
-  'reliability', 'availability', 'fault tolerance', 'backup', 'recovery',
-  'security', 'vulnerability', 'patch', 'update', 'upgrade', 'migration',
-  'refactoring', 'legacy code', 'technical debt', 'documentation',
-  'commenting', 'code review', 'pull request', 'merge', 'conflict',
-  'branch', 'tag', 'release', 'version', 'semantic versioning',
-  'agile', 'scrum', 'kanban', 'sprint', 'standup', 'retrospective',
-  'project management', 'ticket', 'issue', 'bug', 'feature', 'enhancement',
-  'requirement', 'specification', 'design', 'implementation', 'testing',
-  'deployment', 'maintenance', 'support', 'troubleshooting', 'debugging'
-];
-
-// Non-coding keywords that should trigger the filter
-const NON_CODING_KEYWORDS = [
-  'weather', 'temperature', 'rain', 'sunny', 'forecast', 'news', 'sports',
-  'movie', 'music', 'entertainment', 'celebrity', 'gossip', 'politics',
-  'government', 'election', 'stock', 'market', 'finance', 'money', 'bank',
-  'investment', 'crypto', 'bitcoin', 'ethereum', 'shopping', 'buy', 'sell',
-  'food', 'recipe', 'cooking', 'restaurant', 'travel', 'vacation', 'hotel',
-  'flight', 'car', 'vehicle', 'health', 'medical', 'doctor', 'hospital',
-  'fitness', 'exercise', 'gym', 'sports', 'game', 'play', 'fun', 'joke',
-  'story', 'history', 'geography', 'science', 'physics', 'chemistry',
-  'biology', 'math', 'mathematics', 'philosophy', 'religion', 'spiritual',
-  'relationship', 'love', 'dating', 'marriage', 'family', 'friend',
-  'personal', 'life advice', 'career', 'job', 'interview', 'salary',
-  'business', 'company', 'startup', 'entrepreneur', 'product', 'service',
-  'marketing', 'advertising', 'sales', 'customer', 'client'
-];
+// Topic moderation - policy lives in llm/moderation-policy.json (or MODERATION_POLICY)
+const moderator = createModerator({
+  provider: llm,
+  policyPath: process.env.MODERATION_POLICY || undefined
+});
 
-const POLITE_FILTER_MESSAGE = "I appreciate your question! However, I'm specifically designed to help with coding and Data Structures & Algorithms (DSA) topics. Could you please ask me something related to programming, algorithms, or data structures? I'd be happy to help! 😊";
+const generationQueue = createGenerationQueue({
+  concurrency: MAX_CONCURRENT_GENERATIONS,
+  maxQueued: MAX_QUEUED_REQUESTS
+});
 
-function isCodeRelated(prompt) {
-  const lowerPrompt = prompt.toLowerCase();
-  
-  // Check if it contains coding keywords
-  const hasCodingKeywords = CODING_KEYWORDS.some(keyword => 
-    lowerPrompt.includes(keyword.toLowerCase())
-  );
-  
-  // Check if it contains strong non-coding keywords
-  const hasNonCodingKeywords = NON_CODING_KEYWORDS.some(keyword => 
-    lowerPrompt.includes(keyword.toLowerCase())
-  );
-  
-  // If it has coding keywords AND no strong non-coding keywords, allow it
-  // If it has strong non-coding keywords, block it regardless
-  // If it has neither, use a more strict check
-  if (hasNonCodingKeywords) {
-    return false;
-  }
-  
-  if (hasCodingKeywords) {
-    return true;
-  }
-  
-  // For ambiguous cases, check for common coding patterns
-  const codingPatterns = [
-    /how to (code|program|implement|write|create|build|develop)/i,
-    /what is (an|a) (algorithm|function|variable|class|object|array)/i,
-    /explain (code|programming|algorithm|dsa|data structure)/i,
-    /help with (code|coding|programming|debug|fix)/i,
-    /(code|program|function|algorithm) (example|sample)/i,
-    /leetcode|hackerrank|codeforces|dsa problem/i,
-    /time complexity|space complexity|big o/i,
-    /debug|error|bug|fix|issue in (code|program)/i
-  ];
-  
-  return codingPatterns.some(pattern => pattern.test(prompt));
-}
+const quotas = createQuotaManager({ pool, tiers: QUOTA_TIERS });
+const hintTracker = createHintTracker({ pool, hintsBeforeSolution: HINTS_BEFORE_SOLUTION });
+const retriever = createRetriever({ pool, provider: llm, minSimilarity: RAG_MIN_SIMILARITY });
+
+const POLITE_FILTER_MESSAGE = "I appreciate your question! However, I'm specifically designed to help with coding and Data Structures & Algorithms (DSA) topics. Could you please ask me something related to programming, algorithms, or data structures? I'd be happy to help! 😊";
 
 app.use(express.json());
 app.use(express.static('public'));
@@ -185,55 +159,66 @@ app.use((req, res, next) => {
   }
   res.header("Access-Control-Allow-Credentials", "true");
   res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Cookie");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
   next();
 });
 
-// Session validation - reads from same sessions table as port 3000
-async function validateUserSession(cookieHeader) {
-  try {
-    if (!cookieHeader) {
-      console.log("[AUTH] No cookie header provided");
-      return null;
-    }
+// Raw session data for a cookie header - same sessions table as port 3000
+async function readSessionData(cookieHeader) {
+  if (!cookieHeader) {
+    console.log("[AUTH] No cookie header provided");
+    return null;
+  }
 
-    // Extract session cookie
-    const sessionMatch = cookieHeader.match(/sessionId=([^;]+)/);
-    if (!sessionMatch) {
-      console.log("[AUTH] No sessionId cookie found");
-      return null;
-    }
+  // Extract session cookie
+  const sessionMatch = cookieHeader.match(/sessionId=([^;]+)/);
+  if (!sessionMatch) {
+    console.log("[AUTH] No sessionId cookie found");
+    return null;
+  }
 
-    let sessionId = sessionMatch[1];
-    
-    // Handle signed cookies format
-    if (sessionId.startsWith('s:')) {
-      sessionId = sessionId.substring(2);
-    }
-    if (sessionId.startsWith('s%3A')) {
-      sessionId = decodeURIComponent(sessionId).substring(2);
-    }
-    
-    // Remove signature if present
-    const dotIndex = sessionId.indexOf('.');
-    if (dotIndex > -1) {
-      sessionId = sessionId.substring(0, dotIndex);
-    }
+  let sessionId = sessionMatch[1];
+  
+  // Handle signed cookies format
+  if (sessionId.startsWith('s:')) {
+    sessionId = sessionId.substring(2);
+  }
+  if (sessionId.startsWith('s%3A')) {
+    sessionId = decodeURIComponent(sessionId).substring(2);
+  }
+  
+  // Remove signature if present
+  const dotIndex = sessionId.indexOf('.');
+  if (dotIndex > -1) {
+    sessionId = sessionId.substring(0, dotIndex);
+  }
 
-    console.log("[AUTH] Looking up session:", sessionId);
+  console.log("[AUTH] Looking up session:", sessionId);
 
-    const [rows] = await pool.execute(
-      'SELECT data FROM sessions WHERE session_id = ? AND expires > NOW()',
-      [sessionId]
-    );
+  const [rows] = await pool.execute(
+    'SELECT data FROM sessions WHERE session_id = ? AND expires > NOW()',
+    [sessionId]
+  );
 
-    if (rows.length === 0) {
-      console.log("[AUTH] Session not found or expired");
+  if (rows.length === 0) {
+    console.log("[AUTH] Session not found or expired");
+    return null;
+  }
+
+  return JSON.parse(rows[0].data);
+}
+
+// Session validation - reads from same sessions table as port 3000
+async function validateUserSession(cookieHeader) {
+  try {
+    const sessionData = await readSessionData(cookieHeader);
+    if (!sessionData) {
       return null;
     }
 
-    const sessionData = JSON.parse(rows[0].data);
-    
     if (!sessionData.userId) {
       console.log("[AUTH] No userId in session data");
       return null;
@@ -258,6 +243,609 @@ async function validateUserSession(cookieHeader) {
   }
 }
 
+// ==================== CONVERSATION HISTORY ====================
+
+// Create history tables on startup (same database as port 3000)
+async function ensureHistoryTables() {
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_conversations_user (user_id, updated_at)
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS conversation_messages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        conversation_id INT NOT NULL,
+        role ENUM('user', 'assistant') NOT NULL,
+        content MEDIUMTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_messages_conversation (conversation_id, id),
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      )
+    `);
+    console.log("[HISTORY] Conversation tables ready");
+  } catch (error) {
+    console.error("[HISTORY ERROR] Could not create tables:", error.message);
+  }
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function makeConversationTitle(prompt) {
+  const title = prompt.replace(/\s+/g, ' ').trim();
+  return title.length > 60 ? title.substring(0, 57) + '...' : title;
+}
+
+// Returns the conversation row only if it belongs to the user
+async function getConversation(conversationId, userId) {
+  const [rows] = await pool.execute(
+    'SELECT id, title, created_at, updated_at FROM conversations WHERE id = ? AND user_id = ?',
+    [conversationId, userId]
+  );
+  return rows[0] || null;
+}
+
+async function createConversation(userId, title) {
+  const [result] = await pool.execute(
+    'INSERT INTO conversations (user_id, title) VALUES (?, ?)',
+    [userId, title]
+  );
+  return { id: result.insertId, title };
+}
+
+async function saveConversationMessage(conversationId, role, content) {
+  await pool.execute(
+    'INSERT INTO conversation_messages (conversation_id, role, content) VALUES (?, ?, ?)',
+    [conversationId, role, content]
+  );
+  await pool.execute(
+    'UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [conversationId]
+  );
+}
+
+// Load the newest turns that fit in the token budget, oldest first
+async function loadHistoryWindow(conversationId, budget = HISTORY_TOKEN_BUDGET) {
+  const [rows] = await pool.execute(
+    `SELECT role, content FROM conversation_messages
+     WHERE conversation_id = ?
+     ORDER BY id DESC
+     LIMIT ${HISTORY_MAX_MESSAGES}`,
+    [conversationId]
+  );
+
+  const window = [];
+  let used = 0;
+  for (const row of rows) {
+    const cost = estimateTokens(row.content);
+    if (used + cost > budget) break;
+    used += cost;
+    window.unshift({ role: row.role, content: row.content });
+  }
+  return window;
+}
+
+// ==================== QUESTION CONTEXT ====================
+// Port 3000 stores the practice problem the user is working on in
+// req.session.selectedQuestionId (POST /api/session/question). It is re-read
+// on every prompt so switching questions there takes effect immediately.
+
+async function loadQuestionContext(questionId, userId) {
+  if (!questionId) return null;
+  const [rows] = await pool.execute(
+    `SELECT
+      q.qid AS id,
+      q.qname AS name,
+      q.qdescription AS description,
+      q.sample_input AS input,
+      q.sample_output AS expectedOutput,
+      q.difficulty,
+      qs.completed
+    FROM questions q
+    LEFT JOIN question_status qs
+      ON q.qid = qs.question_id AND qs.user_id = ?
+    WHERE q.qid = ?`,
+    [userId, questionId]
+  );
+  if (rows.length === 0) return null;
+  const row = rows[0];
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    input: row.input || '',
+    expectedOutput: row.expectedOutput || '',
+    difficulty: row.difficulty || 'easy',
+    completed: !!row.completed
+  };
+}
+
+async function loadSelectedQuestion(cookieHeader, userId) {
+  try {
+    const sessionData = await readSessionData(cookieHeader);
+    return await loadQuestionContext(sessionData && sessionData.selectedQuestionId, userId);
+  } catch (error) {
+    console.error("[QUESTION ERROR]", error.message);
+    return null;
+  }
+}
+
+async function ensureHintTable() {
+  try {
+    await hintTracker.ensureTable();
+    console.log("[HINTS] Hint table ready");
+  } catch (error) {
+    console.error("[HINTS ERROR] Could not create table:", error.message);
+  }
+}
+
+async function loadHintStatus(userId, question) {
+  if (!question) return null;
+  try {
+    return await hintTracker.getStatus(userId, question);
+  } catch (error) {
+    console.error("[HINTS ERROR]", error.message);
+    return null;
+  }
+}
+
+// What the chat page shows about the linked question
+function questionSummary(question, hints) {
+  if (!question) return null;
+  const { id, name, difficulty, completed } = question;
+  return { id, name, difficulty, completed, hints: hints || null };
+}
+
+// Prompt used when the hint ladder is clicked without any text
+function defaultHintPrompt(level) {
+  if (level === 'solution') return 'Show me the full solution to this problem.';
+  return `Give me a ${level} hint for this problem.`;
+}
+
+function buildQuestionPrompt(question, hints) {
+  let description = question.description;
+  if (description.length > QUESTION_CONTEXT_MAX_CHARS) {
+    description = description.substring(0, QUESTION_CONTEXT_MAX_CHARS) + '...';
+  }
+  return [
+    `The user is currently working on this practice problem. Unless they clearly ask about something else, answer in terms of it.`,
+    `Problem: ${question.name} (difficulty: ${question.difficulty})`,
+    `Description:\n${description}`,
+    `Sample input:\n${question.input}`,
+    `Sample output:\n${question.expectedOutput}`,
+    question.completed
+      ? `The user has already solved this problem, so discussing full solutions and optimisations is fine.`
+      : hints && hints.solutionUnlocked
+        ? `The user has NOT solved this problem yet. Help them find the bug or idea themselves; do not hand over a complete solution unless they explicitly ask for one.`
+        : `The user has NOT solved this problem yet. Help them find the bug or idea themselves. Never give a complete solution or full working code for this problem, even if asked; explain that it unlocks after more hints from the hint ladder.`
+  ].join('\n\n');
+}
+
+// ==================== RETRIEVAL ====================
+
+async function ensureKnowledgeBase() {
+  try {
+    await retriever.ensureTables();
+    console.log("[RAG] Knowledge tables ready");
+    if (RAG_ENABLED) {
+      await retriever.refresh();
+    }
+  } catch (error) {
+    console.error("[RAG ERROR] Could not build index:", error.message);
+  }
+}
+
+function refreshKnowledgeBase() {
+  if (!RAG_ENABLED) return;
+  retriever.refresh().catch(error => console.error("[RAG ERROR]", error.message));
+}
+
+async function findSources(prompt, question, hints) {
+  if (!RAG_ENABLED) return [];
+  // The question's own editorial is a worked solution, so it follows the
+  // same lock as the solution hint
+  const editorialLocked = question && !question.completed && !(hints && hints.solutionUnlocked);
+  try {
+    return await retriever.search(prompt, {
+      limit: RAG_TOP_K,
+      // The linked question is already in the system prompt
+      excludeKeys: question ? [`question:${question.id}`] : [],
+      exclude: editorialLocked
+        ? chunk => chunk.kind === 'editorial' && chunk.questionId === question.id
+        : null
+    });
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    return [];
+  }
+}
+
+function buildSourcesPrompt(sources) {
+  const blocks = sources.map((source, i) => {
+    const text = source.text.length > RAG_SNIPPET_CHARS
+      ? source.text.substring(0, RAG_SNIPPET_CHARS) + '...'
+      : source.text;
+    return `[${i + 1}] (${source.kind}) ${source.title}\n${text}`;
+  });
+  return [
+    `Reference material from the Stratify question bank and editorials. Use it only when it is relevant, cite it inline as [1], [2], ... and never invent references.`,
+    ...blocks
+  ].join('\n\n');
+}
+
+// Returned in the complete frame so the page can link back to the source
+function toCitation(source, i) {
+  return {
+    index: i + 1,
+    kind: source.kind,
+    title: source.title,
+    questionId: source.questionId || null,
+    docId: source.docId,
+    url: QUESTION_LINK_TEMPLATE && source.questionId
+      ? QUESTION_LINK_TEMPLATE.replace('{id}', encodeURIComponent(source.questionId))
+      : null,
+    snippet: source.text.substring(0, 200),
+    score: source.score
+  };
+}
+
+// ==================== METRICS ====================
+// Scraped from /metrics (set METRICS_TOKEN to require "Authorization: Bearer <token>")
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const metrics = createRegistry();
+const metricRequests = metrics.counter('llm_requests_total', 'LLM requests by final status', ['model', 'status']);
+const metricErrors = metrics.counter('llm_request_errors_total', 'LLM requests that failed with an error', ['model']);
+const metricPromptTokens = metrics.counter('llm_prompt_tokens_total', 'Prompt tokens evaluated', ['model']);
+const metricCompletionTokens = metrics.counter('llm_completion_tokens_total', 'Completion tokens generated', ['model']);
+const metricTtft = metrics.histogram('llm_time_to_first_token_seconds', 'Time from request to first streamed token', ['model']);
+const metricDuration = metrics.histogram('llm_request_duration_seconds', 'Time from request to completion', ['model']);
+const metricTokensPerSecond = metrics.histogram('llm_tokens_per_second', 'Generation throughput per request', ['model'], [1, 2, 5, 10, 20, 40, 80, 160]);
+metrics.gauge('llm_active_generations', 'Requests holding a generation slot', () => generationQueue.active());
+metrics.gauge('llm_queue_depth', 'Requests waiting for a generation slot', () => generationQueue.depth());
+const metricQueueWait = metrics.histogram('llm_queue_wait_seconds', 'Time spent waiting for a generation slot', ['priority']);
+
+async function ensureMetricsTable() {
+  try {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS llm_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        provider VARCHAR(32) NOT NULL,
+        model VARCHAR(128) NOT NULL,
+        status ENUM('ok', 'error', 'cancelled', 'filtered', 'rejected') NOT NULL,
+        prompt_tokens INT NULL,
+        completion_tokens INT NULL,
+        ttft_ms INT NULL,
+        duration_ms INT NOT NULL,
+        tokens_per_second DECIMAL(10, 2) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_llm_requests_user (user_id, created_at)
+      )
+    `);
+    console.log("[METRICS] Request log table ready");
+  } catch (error) {
+    console.error("[METRICS ERROR] Could not create table:", error.message);
+  }
+}
+
+// Throughput from the backend's own eval timing when it reports one
+function tokensPerSecond(usage, streamMs) {
+  if (!usage || !usage.completionTokens) return null;
+  const ms = usage.evalDurationMs || streamMs;
+  if (!ms) return null;
+  return Math.round((usage.completionTokens / (ms / 1000)) * 100) / 100;
+}
+
+// Tokens charged against the daily quota; estimated when the backend reports none
+function tokensUsed(usage, prompt, response) {
+  if (usage && (usage.promptTokens || usage.completionTokens)) {
+    return (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  }
+  return estimateTokens(prompt) + estimateTokens(response);
+}
+
+// Update the Prometheus series and log the request against the user
+function recordRequestMetrics({ userId, model, status, usage, ttftMs, durationMs, tps }) {
+  metricRequests.inc({ model, status });
+  if (status === 'error') metricErrors.inc({ model });
+  if (usage && usage.promptTokens) metricPromptTokens.inc({ model }, usage.promptTokens);
+  if (usage && usage.completionTokens) metricCompletionTokens.inc({ model }, usage.completionTokens);
+  if (ttftMs !== null) metricTtft.observe({ model }, ttftMs / 1000);
+  if (status === 'ok') metricDuration.observe({ model }, durationMs / 1000);
+  if (tps !== null) metricTokensPerSecond.observe({ model }, tps);
+
+  pool.execute(
+    `INSERT INTO llm_requests
+     (user_id, provider, model, status, prompt_tokens, completion_tokens, ttft_ms, duration_ms, tokens_per_second)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId || null,
+      llm.name,
+      model,
+      status,
+      usage ? usage.promptTokens : null,
+      usage ? usage.completionTokens : null,
+      ttftMs,
+      durationMs,
+      tps
+    ]
+  ).catch(error => console.error("[METRICS ERROR]", error.message));
+}
+
+// ==================== MODEL SELECTION ====================
+let modelCache = { models: null, fetchedAt: 0 };
+
+// Installed models intersected with the allowlist (cached for a minute)
+async function getAllowedModels() {
+  if (!modelCache.models || Date.now() - modelCache.fetchedAt > 60000) {
+    let installed;
+    try {
+      installed = await llm.listModels();
+    } catch (error) {
+      console.error("[MODELS ERROR]", error.message);
+      installed = ALLOWED_MODELS.length ? ALLOWED_MODELS : [llm.model];
+    }
+    modelCache = { models: installed, fetchedAt: Date.now() };
+  }
+
+  const models = ALLOWED_MODELS.length
+    ? modelCache.models.filter(m => ALLOWED_MODELS.includes(m))
+    : modelCache.models;
+  return models.includes(llm.model) ? models : [llm.model, ...models];
+}
+
+// Validate { model, options } from a client message; throws with a user-facing message
+async function resolveGenerationSettings(requestedModel, requestedOptions) {
+  const model = requestedModel || llm.model;
+  const allowed = await getAllowedModels();
+  if (!allowed.includes(model)) {
+    throw new Error(`Model "${model}" is not available`);
+  }
+
+  const options = {};
+  const input = requestedOptions && typeof requestedOptions === 'object' ? requestedOptions : {};
+  for (const key of Object.keys(input)) {
+    const limits = GENERATION_LIMITS[key];
+    if (!limits) {
+      throw new Error(`Unsupported option "${key}"`);
+    }
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+      throw new Error(`${key} must be between ${limits.min} and ${limits.max}`);
+    }
+    if (key === 'max_tokens') {
+      options.num_predict = Math.floor(value);
+    } else if (key === 'num_ctx') {
+      options.num_ctx = Math.floor(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { model, options };
+}
+
+// ==================== WEBSOCKET PROTOCOL ====================
+// Client -> server (v1):
+//   { v: 1, type: "prompt", requestId, prompt, conversationId?, model?, options?,
+//     hint?: "nudge"|"approach"|"pseudocode"|"solution",
+//     trace?: { code, language?, includeSolution? } }
+//   { v: 1, type: "cancel", requestId }
+//   { v: 1, type: "resume", requestId, lastSeq }
+// Guests add resumeToken (a random string the page keeps, 16-128 chars) to
+// every v1 frame; their requests can only be resumed or cancelled with it.
+// Server -> client frames (stream/complete/error/conversation/cancelled) echo
+// the requestId and carry an increasing seq. A bare string or { prompt }
+// without a type is still accepted as a legacy prompt; its replies are untagged.
+const PROTOCOL_VERSION = 1;
+
+// How long a request outlives a dropped socket (and a finished one stays replayable)
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_MS) || 30000;
+
+// Tagged requests live here rather than on the socket, keyed by owner and
+// requestId, so a client that reconnects can resume the stream
+const inflightRequests = new Map();
+
+function createInflightRequest(owner, requestId) {
+  const record = {
+    key: `${owner}:${requestId}`,
+    requestId,
+    controller: new AbortController(),
+    frames: [],
+    seq: 0,
+    done: false,
+    send: null,
+    expiryTimer: null
+  };
+  inflightRequests.set(record.key, record);
+  return record;
+}
+
+function findInflightRequest(owner, requestId) {
+  return inflightRequests.get(`${owner}:${requestId}`) || null;
+}
+
+function scheduleInflightExpiry(record) {
+  clearTimeout(record.expiryTimer);
+  record.expiryTimer = setTimeout(() => {
+    if (!record.done) {
+      record.controller.abort();
+      console.log(`[RESUME] Request ${record.requestId} abandoned after ${RESUME_GRACE_MS}ms`);
+    }
+    inflightRequests.delete(record.key);
+  }, RESUME_GRACE_MS);
+}
+
+// Buffer the frame for replay and deliver it if a socket is attached
+function emitFrame(record, frame) {
+  const tagged = { ...frame, requestId: record.requestId, seq: ++record.seq };
+  record.frames.push(tagged);
+  if (record.send) {
+    record.send(tagged);
+  }
+}
+
+function finishInflightRequest(record) {
+  record.done = true;
+  // The complete frame carries the whole answer, so the chunks are not needed for replay
+  record.frames = record.frames.filter(f => f.type !== 'stream');
+  scheduleInflightExpiry(record);
+}
+
+function attachInflightRequest(record, send, lastSeq = 0) {
+  clearTimeout(record.expiryTimer);
+  record.send = send;
+  record.frames.filter(f => f.seq > lastSeq).forEach(send);
+  if (record.done) {
+    scheduleInflightExpiry(record);
+  }
+}
+
+function detachInflightRequest(record) {
+  record.send = null;
+  scheduleInflightExpiry(record);
+}
+
+function protocolError(message, code, requestId) {
+  const error = new Error(message);
+  error.code = code;
+  error.requestId = requestId || null;
+  return error;
+}
+
+// Optional hint ladder level on prompt frames
+function parseHintLevel(value, requestId) {
+  if (value === undefined || value === null) return null;
+  if (!HINT_LEVELS.includes(value)) {
+    throw protocolError(`hint must be one of ${HINT_LEVELS.join(', ')}`, 'bad_request', requestId);
+  }
+  return value;
+}
+
+// Optional "Trace my code" payload on prompt frames: { code, language, includeSolution }
+function parseTraceRequest(value, requestId) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || typeof value.code !== 'string' || !value.code.trim()) {
+    throw protocolError('trace.code must be a non-empty string', 'bad_request', requestId);
+  }
+  if (value.code.length > TRACE_MAX_CODE_CHARS) {
+    throw protocolError(`trace.code must be at most ${TRACE_MAX_CODE_CHARS} characters`, 'bad_request', requestId);
+  }
+  const name = typeof value.language === 'string' ? value.language.trim().toLowerCase() : '';
+  const known = resolveLanguage(name);
+  return {
+    code: value.code,
+    language: known ? known.id : TRACE_LANGUAGES.includes(name) ? name : 'other',
+    includeSolution: value.includeSolution === true
+  };
+}
+
+function parsePromptExtras(parsed, requestId) {
+  const hint = parseHintLevel(parsed.hint, requestId);
+  const trace = parseTraceRequest(parsed.trace, requestId);
+  if (hint && trace) {
+    throw protocolError('A prompt cannot be both a hint and a trace', 'bad_request', requestId);
+  }
+  return { hint, trace };
+}
+
+function parseClientMessage(raw) {
+  const text = raw.trim();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // Plain text prompt
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    return { type: 'prompt', requestId: null, prompt: text };
+  }
+
+  if (parsed.type === undefined) {
+    if (typeof parsed.prompt !== 'string') {
+      throw protocolError('Missing prompt', 'bad_request');
+    }
+    return {
+      type: 'prompt',
+      requestId: null,
+      prompt: parsed.prompt.trim(),
+      conversationId: parsed.conversationId || null,
+      model: typeof parsed.model === 'string' ? parsed.model : null,
+      options: parsed.options || null,
+      ...parsePromptExtras(parsed, null)
+    };
+  }
+
+  const requestId = typeof parsed.requestId === 'string' ? parsed.requestId : null;
+  const resumeToken = typeof parsed.resumeToken === 'string'
+    && parsed.resumeToken.length >= 16 && parsed.resumeToken.length <= 128 ? parsed.resumeToken : null;
+  if (parsed.v !== PROTOCOL_VERSION) {
+    throw protocolError(`Unsupported protocol version ${parsed.v} (server speaks v${PROTOCOL_VERSION})`, 'unsupported_version', requestId);
+  }
+  if (!requestId || requestId.length > 64) {
+    throw protocolError('requestId must be a string of at most 64 characters', 'bad_request');
+  }
+
+  if (parsed.type === 'cancel') {
+    return { type: 'cancel', requestId, resumeToken };
+  }
+  if (parsed.type === 'resume') {
+    return { type: 'resume', requestId, resumeToken, lastSeq: parseInt(parsed.lastSeq) || 0 };
+  }
+  if (parsed.type === 'prompt') {
+    if (typeof parsed.prompt !== 'string') {
+      throw protocolError('Missing prompt', 'bad_request', requestId);
+    }
+    return {
+      type: 'prompt',
+      requestId,
+      resumeToken,
+      prompt: parsed.prompt.trim(),
+      conversationId: parsed.conversationId || null,
+      model: typeof parsed.model === 'string' ? parsed.model : null,
+      options: parsed.options || null,
+      ...parsePromptExtras(parsed, requestId)
+    };
+  }
+
+  throw protocolError(`Unknown message type "${parsed.type}"`, 'bad_request', requestId);
+}
+
+// REST middleware - history endpoints need a logged-in user
+function requireUser(req, res, next) {
+  if (req.session && req.session.userId) {
+    next();
+  } else {
+    res.status(401).json({ message: 'Unauthorized' });
+  }
+}
+
+// Admin check - the logged-in user's email must be listed in ADMIN_EMAILS
+async function requireAdmin(req, res, next) {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  try {
+    const [users] = await pool.execute('SELECT email FROM users WHERE id = ?', [req.session.userId]);
+    if (users.length === 0 || !ADMIN_EMAILS.includes(String(users[0].email).toLowerCase())) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    next();
+  } catch (error) {
+    console.error("[AUTH ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
 // Session check endpoint - for frontend to verify
 app.get("/api/session-check", async (req, res) => {
   try {
@@ -284,199 +872,810 @@ app.get("/api/session-check", async (req, res) => {
 
 // Routes
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", model: MODEL_NAME });
+  res.json({ status: "ok", provider: llm.name, model: llm.model });
 });
 
 app.get("/test-ollama", async (req, res) => {
   try {
-    const response = await fetch(`${OLLAMA_URL}/api/tags`, { timeout: 5000 });
-    const data = await response.json();
-    res.json({ status: "ok", models: data.models.map(m => m.name) });
+    const models = await llm.listModels();
+    res.json({ status: "ok", provider: llm.name, models });
   } catch (e) {
     res.json({ status: "error", error: e.message });
   }
 });
 
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).send('Unauthorized\n');
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Logged-in user's own token usage and latency, per model
+app.get("/api/usage", requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT model,
+              COUNT(*) AS requests,
+              SUM(status = 'error') AS errors,
+              COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+              COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+              ROUND(AVG(ttft_ms)) AS avg_ttft_ms,
+              ROUND(AVG(tokens_per_second), 2) AS avg_tokens_per_second,
+              MAX(created_at) AS last_request_at
+       FROM llm_requests
+       WHERE user_id = ?
+       GROUP BY model
+       ORDER BY requests DESC`,
+      [req.session.userId]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error("[METRICS ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== QUOTAS ====================
+
+async function ensureQuotaTable() {
+  try {
+    await quotas.ensureTable();
+    await quotas.pruneUsage();
+    console.log("[QUOTA] Usage table ready");
+  } catch (error) {
+    console.error("[QUOTA ERROR] Could not create table:", error.message);
+  }
+}
+
+function quotaSubject(userId, ip) {
+  return userId ? `user:${userId}` : `ip:${ip}`;
+}
+
+// Practice problem the chat is currently tied to
+app.get("/api/chat/question", requireUser, async (req, res) => {
+  try {
+    const question = await loadQuestionContext(req.session.selectedQuestionId, req.session.userId);
+    const hints = await loadHintStatus(req.session.userId, question);
+    res.json({ question: questionSummary(question, hints) });
+  } catch (error) {
+    console.error("[QUESTION ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---- Knowledge base (editorials and topic notes) ----
+
+function validateKnowledgeDoc(body) {
+  const { kind, title, questionId, topic } = body;
+  const text = body.body;
+  if (!['editorial', 'note'].includes(kind)) return 'kind must be "editorial" or "note"';
+  if (typeof title !== 'string' || !title.trim() || title.length > 255) return 'title is required (max 255 characters)';
+  if (typeof text !== 'string' || !text.trim()) return 'body is required';
+  if (kind === 'editorial' && !questionId) return 'editorials need a questionId';
+  if (topic !== undefined && topic !== null && (typeof topic !== 'string' || topic.length > 100)) return 'topic must be a string of at most 100 characters';
+  return null;
+}
+
+app.get("/api/admin/knowledge", requireAdmin, async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.questionId) {
+      where = 'WHERE question_id = ?';
+      params.push(req.query.questionId);
+    }
+    const [rows] = await pool.execute(
+      `SELECT id, kind, question_id, topic, title, author_id, created_at, updated_at, CHAR_LENGTH(body) AS length
+       FROM knowledge_docs ${where}
+       ORDER BY updated_at DESC`,
+      params
+    );
+    res.json({ index: retriever.status(), docs: rows });
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get("/api/admin/knowledge/:id", requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM knowledge_docs WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    res.json(rows[0]);
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post("/api/admin/knowledge", requireAdmin, async (req, res) => {
+  const problem = validateKnowledgeDoc(req.body || {});
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+  const { kind, title, questionId, topic, body } = req.body;
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO knowledge_docs (kind, question_id, topic, title, body, author_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [kind, questionId || null, topic || null, title.trim(), body, req.session.userId]
+    );
+    refreshKnowledgeBase();
+    res.status(201).json({ id: result.insertId });
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch("/api/admin/knowledge/:id", requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM knowledge_docs WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    const current = rows[0];
+    const next = {
+      kind: current.kind,
+      title: current.title,
+      questionId: current.question_id,
+      topic: current.topic,
+      body: current.body,
+      ...req.body
+    };
+    const problem = validateKnowledgeDoc(next);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+    await pool.execute(
+      `UPDATE knowledge_docs SET kind = ?, question_id = ?, topic = ?, title = ?, body = ? WHERE id = ?`,
+      [next.kind, next.questionId || null, next.topic || null, next.title.trim(), next.body, req.params.id]
+    );
+    refreshKnowledgeBase();
+    res.json({ message: 'Document updated' });
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete("/api/admin/knowledge/:id", requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM knowledge_docs WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    refreshKnowledgeBase();
+    res.json({ message: 'Document deleted' });
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rebuild now, e.g. after questions were edited on port 3000
+app.post("/api/admin/knowledge/reindex", requireAdmin, async (req, res) => {
+  try {
+    await retriever.refresh();
+    res.json(retriever.status());
+  } catch (error) {
+    console.error("[RAG ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remaining quota for whoever is asking (session user, otherwise the caller's IP)
+app.get("/api/quota", async (req, res) => {
+  const userId = req.session && req.session.userId;
+  const quota = await quotas.getStatus(quotaSubject(userId, req.socket.remoteAddress), userId ? 'user' : 'guest');
+  if (!quota) {
+    return res.status(503).json({ message: 'Quota service unavailable' });
+  }
+  res.json(quota);
+});
+
+// Today's usage for every subject; ?type=user or ?type=ip narrows the list
+app.get("/api/admin/llm-usage", requireAdmin, async (req, res) => {
+  const prefix = req.query.type === 'user' ? 'user:' : req.query.type === 'ip' ? 'ip:' : '';
+  try {
+    const rows = await quotas.listUsage(prefix);
+    res.json({ tiers: QUOTA_TIERS, usage: rows });
+  } catch (error) {
+    console.error("[QUOTA ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset the current minute and day windows for "user:<id>" or "ip:<address>"
+app.delete("/api/admin/llm-usage/:subject", requireAdmin, async (req, res) => {
+  const { subject } = req.params;
+  if (!/^(user|ip):.+$/.test(subject)) {
+    return res.status(400).json({ message: 'Subject must look like user:<id> or ip:<address>' });
+  }
+  try {
+    const cleared = await quotas.resetUsage(subject);
+    console.log(`[QUOTA] Usage reset for ${subject} by user ${req.session.userId}`);
+    res.json({ message: 'Usage reset', subject, cleared });
+  } catch (error) {
+    console.error("[QUOTA ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Models the chat page may offer in its picker
+app.get("/api/models", async (req, res) => {
+  try {
+    const models = await getAllowedModels();
+    res.json({
+      provider: llm.name,
+      default: llm.model,
+      models,
+      limits: GENERATION_LIMITS
+    });
+  } catch (error) {
+    console.error("[MODELS ERROR]", error.message);
+    res.status(500).json({ message: 'Could not list models' });
+  }
+});
+
+// Conversation history routes
+app.get("/api/conversations", requireUser, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT c.id, c.title, c.created_at, c.updated_at, COUNT(m.id) AS message_count
+       FROM conversations c
+       LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+       WHERE c.user_id = ?
+       GROUP BY c.id
+       ORDER BY c.updated_at DESC`,
+      [req.session.userId]
+    );
+    res.json(rows);
+  } catch (error) {
+    console.error("[HISTORY ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get("/api/conversations/:id", requireUser, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.session.userId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const [messages] = await pool.execute(
+      `SELECT id, role, content, created_at FROM conversation_messages
+       WHERE conversation_id = ?
+       ORDER BY id ASC`,
+      [conversation.id]
+    );
+    res.json({ ...conversation, messages });
+  } catch (error) {
+    console.error("[HISTORY ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch("/api/conversations/:id", requireUser, async (req, res) => {
+  const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+  if (!title) {
+    return res.status(400).json({ message: 'title is required' });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      'UPDATE conversations SET title = ? WHERE id = ? AND user_id = ?',
+      [title.substring(0, 255), req.params.id, req.session.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.json({ message: 'Conversation renamed', id: Number(req.params.id), title });
+  } catch (error) {
+    console.error("[HISTORY ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete("/api/conversations/:id", requireUser, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM conversations WHERE id = ? AND user_id = ?',
+      [req.params.id, req.session.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.json({ message: 'Conversation deleted' });
+  } catch (error) {
+    console.error("[HISTORY ERROR]", error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Serve LLM HTML page
 app.get("/llm", (req, res) => {
   res.sendFile(__dirname + '/public/llm.html');
 });
 
 // WebSocket with OPTIONAL session handling - LLM works regardless of login
-wss.on("connection", async (ws, req) => {
+wss.on("connection", (ws, req) => {
   const id = Math.random().toString(36).substr(2, 9);
-  console.log(`\n[${id}] NEW CONNECTION from ${req.socket.remoteAddress}`);
+  const clientIp = req.socket.remoteAddress;
+  console.log(`\n[${id}] NEW CONNECTION from ${clientIp}`);
 
-  // Store current request controller for cancellation
-  let currentController = null;
-
-  // Try to validate session, but don't block if no session
+  // Tagged requests currently streaming to this socket, plus the single
+  // untagged request a legacy client may have running
+  const attached = new Set();
+  let legacyController = null;
   let user = null;
-  try {
-    user = await validateUserSession(req.headers.cookie);
-    if (user) {
-      console.log(`[${id}] AUTHENTICATED AS: ${user.full_name} (ID: ${user.id})`);
-      
-      // Send welcome message with user info
-      ws.send(JSON.stringify({
-        type: "system",
-        content: `Welcome back ${user.full_name}! How can I help you with coding today?`,
-        user: { name: user.full_name, id: user.id }
-      }));
-    } else {
+
+  const send = (frame) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(frame));
+    }
+  };
+
+  // Guests are told apart by the resumeToken their page sends; without one a
+  // guest's requests belong to this connection only
+  const connectionKey = crypto.randomBytes(16).toString('hex');
+  const ownerKey = (message) => user
+    ? `user:${user.id}`
+    : `guest:${(message && message.resumeToken) || connectionKey}`;
+
+  // Try to validate session, but don't block if no session. Messages that
+  // arrive before this finishes wait on it instead of being dropped.
+  const ready = (async () => {
+    try {
+      user = await validateUserSession(req.headers.cookie);
+      if (user) {
+        console.log(`[${id}] AUTHENTICATED AS: ${user.full_name} (ID: ${user.id})`);
+        
+        // Send welcome message with user info
+        send({
+          type: "system",
+          protocol: PROTOCOL_VERSION,
+          content: `Welcome back ${user.full_name}! How can I help you with coding today?`,
+          user: { name: user.full_name, id: user.id }
+        });
+        return;
+      }
       console.log(`[${id}] UNAUTHENTICATED - Running in guest mode`);
-      
-      // Send generic welcome for guest users
-      ws.send(JSON.stringify({
-        type: "system", 
-        content: "Welcome to Stratify! I'm your DSA assistant. How can I help you with coding today?"
-      }));
+    } catch (error) {
+      console.log(`[${id}] Session check failed, running in guest mode:`, error.message);
     }
-  } catch (error) {
-    console.log(`[${id}] Session check failed, running in guest mode:`, error.message);
-    
-    // Send generic welcome even if session check fails
-    ws.send(JSON.stringify({
+
+    // Send generic welcome for guest users
+    send({
       type: "system",
+      protocol: PROTOCOL_VERSION,
       content: "Welcome to Stratify! I'm your DSA assistant. How can I help you with coding today?"
-    }));
-  }
+    });
+  })();
 
-  ws.on("message", async (input) => {
-    const prompt = input.toString().trim();
-    const userName = user ? user.full_name : "Guest";
-    console.log(`[${id}] [${userName}] PROMPT: "${prompt}"`);
+  const tier = () => user ? 'user' : 'guest';
+  const subject = () => quotaSubject(user && user.id, clientIp);
 
-    // Check if prompt is code-related - FIXED FILTERING
-    if (!isCodeRelated(prompt)) {
-      console.log(`[${id}] FILTERED: Not code-related - "${prompt}"`);
-      ws.send(JSON.stringify({ 
-        type: "complete", 
-        content: POLITE_FILTER_MESSAGE,
-        filtered: true
-      }));
+  // Tell the page which question the chat is tied to whenever it changes
+  let linkedQuestionId = null;
+  const syncQuestion = async () => {
+    const question = user ? await loadSelectedQuestion(req.headers.cookie, user.id) : null;
+    const hints = question ? await loadHintStatus(user.id, question) : null;
+    const questionId = question ? question.id : null;
+    if (questionId !== linkedQuestionId) {
+      linkedQuestionId = questionId;
+      send({ type: "question", question: questionSummary(question, hints) });
+    }
+    return { question, hints };
+  };
+
+  ready.then(async () => {
+    const quota = await quotas.getStatus(subject(), tier());
+    if (quota) send({ type: "quota", quota });
+    if (user) await syncQuestion();
+  });
+
+  async function handlePrompt(request) {
+    const { requestId, hint, trace } = request;
+    const prompt = request.prompt || (hint ? defaultHintPrompt(hint) : trace ? DEFAULT_TRACE_PROMPT : '');
+    let conversationId = request.conversationId;
+
+    if (!prompt) {
+      send({ type: "error", code: "bad_request", content: "Prompt is empty", requestId });
+      return;
+    }
+
+    const existing = requestId ? findInflightRequest(ownerKey(request), requestId) : null;
+    if (existing) {
+      send({ type: "error", code: "duplicate_request", content: "A request with this ID is already running", requestId });
       return;
     }
 
-    // Cancel previous request if exists
-    if (currentController) {
-      currentController.abort();
+    // Legacy clients have no request IDs, so a new prompt replaces the old one
+    if (!requestId && legacyController) {
+      legacyController.abort();
       console.log(`[${id}] Cancelled previous request`);
     }
 
+    let record = null;
+    let controller;
+    if (requestId) {
+      record = createInflightRequest(ownerKey(request), requestId);
+      attachInflightRequest(record, send);
+      attached.add(record);
+      controller = record.controller;
+    } else {
+      controller = new AbortController();
+      legacyController = controller;
+    }
+    const { signal } = controller;
+    const reply = (frame) => record ? emitFrame(record, frame) : send(frame);
+
+    const userName = user ? user.full_name : "Guest";
+    console.log(`[${id}] [${userName}] PROMPT${requestId ? ` (${requestId})` : ''}: "${prompt}"`);
+
+    // Per-request measurements, recorded once in the finally block
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+    let status = 'error';
+    let usage = null;
+    let metricModel = llm.model;
+    let release = null;
+    let quotaConsumed = false;
+    let tokensCharged = false;
+    let streamedText = "";
+    let userContent = prompt;
+
     try {
-      // Create new AbortController for this request
-      currentController = new AbortController();
-      const signal = currentController.signal;
+      let generation;
+      try {
+        generation = await resolveGenerationSettings(request.model, request.options);
+      } catch (error) {
+        console.log(`[${id}] REJECTED settings: ${error.message}`);
+        status = 'rejected';
+        reply({ type: "error", code: "invalid_settings", content: error.message });
+        return;
+      }
+      metricModel = generation.model;
 
-      // Include user name in system prompt if available, otherwise use generic
-      const systemPrompt = user 
-        ? `You are a helpful coding assistant. You will answer any coding and DSA (Data Structures and Algorithms) related questions. User: ${user.full_name}`
-        : `You are a helpful coding assistant. You will answer any coding and DSA (Data Structures and Algorithms) related questions.`;
-      
-      const fullPrompt = `${systemPrompt}\n\nUser: ${prompt}`;
-
-      const response = await fetch(`${OLLAMA_URL}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: MODEL_NAME,
-          prompt: fullPrompt,
-          stream: true,
-          options: {
-            temperature: 0.7
+      const { question, hints } = await syncQuestion();
+
+      // Hint ladder requests need a linked question, and the full solution
+      // stays locked until enough lower hints were taken or it was solved
+      if (hint) {
+        if (!question) {
+          status = 'rejected';
+          reply({ type: "error", code: "no_question", content: "Pick a practice question first to use hints" });
+          return;
+        }
+        if (!hints) {
+          status = 'rejected';
+          reply({ type: "error", code: "hints_unavailable", content: "Hints are unavailable right now, please try again" });
+          return;
+        }
+        if (hint === 'solution' && !hints.solutionUnlocked) {
+          console.log(`[${id}] [${userName}] SOLUTION LOCKED for question ${question.id} (${hints.used}/${hints.required} hints)`);
+          status = 'rejected';
+          reply({
+            type: "error",
+            code: "solution_locked",
+            content: `The full solution unlocks after ${hints.remainingBeforeSolution} more hint${hints.remainingBeforeSolution === 1 ? '' : 's'} or once you solve the question`,
+            hints
+          });
+          return;
+        }
+      }
+
+      // Traces run against the linked question's samples; a corrected
+      // solution is only written on request and follows the same lock
+      if (trace) {
+        if (!question) {
+          status = 'rejected';
+          reply({ type: "error", code: "no_question", content: "Pick a practice question first to trace your code against its sample" });
+          return;
+        }
+        if (trace.includeSolution && !question.completed) {
+          if (!hints) {
+            status = 'rejected';
+            reply({ type: "error", code: "hints_unavailable", content: "Solutions are unavailable right now, please try again" });
+            return;
           }
-        }),
-        signal: signal
-      });
+          if (!hints.solutionUnlocked) {
+            console.log(`[${id}] [${userName}] TRACE SOLUTION LOCKED for question ${question.id} (${hints.used}/${hints.required} hints)`);
+            status = 'rejected';
+            reply({
+              type: "error",
+              code: "solution_locked",
+              content: `A corrected solution unlocks after ${hints.remainingBeforeSolution} more hint${hints.remainingBeforeSolution === 1 ? '' : 's'} or once you solve the question. Trace without it to see where your code goes wrong.`,
+              hints
+            });
+            return;
+          }
+        }
+      }
 
-      if (!response.ok) {
-        ws.send(JSON.stringify({ 
-          type: "error", 
-          content: `Ollama responded with status ${response.status}` 
-        }));
-        currentController = null;
+      const allowance = await quotas.consumeRequest(subject(), tier());
+      if (!allowance.allowed) {
+        console.log(`[${id}] [${userName}] QUOTA ${allowance.code}: ${subject()}`);
+        status = 'rejected';
+        reply({
+          type: "error",
+          code: allowance.code,
+          content: allowance.message,
+          retryAfterMs: allowance.retryAfterMs,
+          quota: allowance.quota
+        });
         return;
       }
+      quotaConsumed = true;
 
-      if (!response.body) {
-        ws.send(JSON.stringify({ 
-          type: "error", 
-          content: "No response body from Ollama" 
-        }));
-        currentController = null;
+      // Wait for a generation slot; moderation may call the model too, so it
+      // runs inside the slot
+      const queuedAt = Date.now();
+      try {
+        release = await generationQueue.acquire({
+          owner: user ? `user:${user.id}` : `ip:${clientIp}`,
+          priority: QUEUE_PRIORITY[tier()],
+          limit: user ? MAX_OUTSTANDING_PER_USER : MAX_OUTSTANDING_PER_GUEST,
+          signal,
+          onPosition: (position) => reply({ type: "queued", position })
+        });
+      } catch (error) {
+        if (error.name !== 'QueueError') throw error;
+        console.log(`[${id}] [${userName}] QUEUE REJECTED (${error.code})`);
+        status = 'rejected';
+        reply({ type: "error", code: error.code, content: error.message });
         return;
       }
+      metricQueueWait.observe({ priority: tier() }, (Date.now() - queuedAt) / 1000);
+      if (signal.aborted) return;
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let fullResponse = "";
-
+      // Check if prompt is code-related (the built-in hint ladder and trace
+      // prompts always are, custom text sent with a hint or trace is checked too)
+      let verdict;
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) break;
-
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-          
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || "";
-
-          for (const line of lines) {
-            if (line.trim() === '') continue;
-            
-            try {
-              const json = JSON.parse(line);
-              if (json.response) {
-                fullResponse += json.response;
-                ws.send(JSON.stringify({ 
-                  type: "stream", 
-                  content: json.response 
-                }));
-              }
-              if (json.done) {
-                ws.send(JSON.stringify({ 
-                  type: "complete", 
-                  content: fullResponse 
-                }));
-                currentController = null;
-                break;
-              }
-            } catch (e) {
-              // Ignore parse errors
-            }
-          }
+        verdict = hint && !request.prompt
+          ? { allowed: true, stage: 'hint', reason: `hint ladder: ${hint}` }
+          : trace && !request.prompt
+            ? { allowed: true, stage: 'trace', reason: `trace: ${trace.language}` }
+            : await moderator.check(prompt, { hasHistory: !!conversationId, hasQuestion: !!question });
+      } catch (error) {
+        console.error(`[${id}] MODERATION ERROR:`, error.message);
+        reply({ type: "error", content: "Could not check your message, please try again" });
+        return;
+      }
+      if (signal.aborted) return;
+      if (!verdict.allowed) {
+        console.log(`[${id}] [${userName}] FILTERED (${verdict.stage}): ${verdict.reason} - "${prompt}"`);
+        status = 'filtered';
+        reply({ 
+          type: "complete", 
+          content: POLITE_FILTER_MESSAGE,
+          filtered: true,
+          reason: verdict.reason
+        });
+        return;
+      }
+
+      // Include user name in system prompt if available, otherwise use generic
+      let systemPrompt = user 
+        ? `You are a helpful coding assistant. You will answer any coding and DSA (Data Structures and Algorithms) related questions. User: ${user.full_name}`
+        : `You are a helpful coding assistant. You will answer any coding and DSA (Data Structures and Algorithms) related questions.`;
+      if (question) {
+        systemPrompt += `\n\n${buildQuestionPrompt(question, hints)}`;
+      }
+      if (hint) {
+        systemPrompt += `\n\n${HINT_INSTRUCTIONS[hint]}`;
+      }
+      if (trace) {
+        systemPrompt += `\n\n${buildTraceInstructions(trace)}`;
+      }
+
+      // The user turn carries the numbered source for traces
+      if (trace) {
+        userContent = buildTraceMessage({ prompt, code: trace.code, language: trace.language });
+      }
+
+      // Traces are about the user's own code, so no retrieved snippets
+      const sources = trace ? [] : await findSources(prompt, question, hints);
+      if (sources.length > 0) {
+        systemPrompt += `\n\n${buildSourcesPrompt(sources)}`;
+        console.log(`[${id}] RAG: ${sources.map(s => `${s.key} (${s.score})`).join(', ')}`);
+      }
+      
+      // Resolve the conversation and replay prior turns (authenticated users only)
+      let history = [];
+      if (user) {
+        let conversation = conversationId
+          ? await getConversation(conversationId, user.id)
+          : null;
+        if (!conversation) {
+          conversation = await createConversation(user.id, makeConversationTitle(prompt));
+          reply({
+            type: "conversation",
+            conversationId: conversation.id,
+            title: conversation.title
+          });
+        } else {
+          history = await loadHistoryWindow(conversation.id, HISTORY_TOKEN_BUDGET - estimateTokens(userContent));
         }
-      } catch (readError) {
-        if (readError.name === 'AbortError') {
-          console.log(`[${id}] Request was cancelled`);
-          // Don't send error message for cancelled requests
-          return;
+        conversationId = conversation.id;
+        await saveConversationMessage(conversationId, 'user', userContent);
+        console.log(`[${id}] Conversation ${conversationId}: replaying ${history.length} prior messages`);
+      }
+
+      // Chat protocol: system prompt, prior turns, then the new user turn
+      const chatMessages = [
+        { role: 'system', content: systemPrompt },
+        ...history,
+        { role: 'user', content: userContent }
+      ];
+
+      const result = await llm.chat(
+        { messages: chatMessages, model: generation.model, options: generation.options, signal },
+        (token) => {
+          // Never leak chunks that were already buffered when a cancel arrived
+          if (signal.aborted) return;
+          if (firstTokenAt === null) firstTokenAt = Date.now();
+          streamedText += token;
+          reply({ 
+            type: "stream", 
+            content: token 
+          });
+        }
+      );
+      if (signal.aborted) return;
+      const fullResponse = result.content;
+      usage = result.usage;
+      status = 'ok';
+
+      if (user && conversationId && fullResponse) {
+        await saveConversationMessage(conversationId, 'assistant', fullResponse);
+      }
+
+      await quotas.addTokens(subject(), tokensUsed(usage, userContent, fullResponse));
+      tokensCharged = true;
+      const quota = await quotas.getStatus(subject(), tier());
+
+      let hintStatus;
+      if (hint) {
+        try {
+          await hintTracker.recordHint(user.id, question.id, hint);
+        } catch (error) {
+          console.error("[HINTS ERROR]", error.message);
         }
-        throw readError;
+        hintStatus = await loadHintStatus(user.id, question);
       }
 
+      const finishedAt = Date.now();
+      reply({ 
+        type: "complete", 
+        content: fullResponse,
+        conversationId,
+        model: generation.model,
+        metrics: {
+          promptTokens: usage ? usage.promptTokens : null,
+          completionTokens: usage ? usage.completionTokens : null,
+          ttftMs: firstTokenAt ? firstTokenAt - startedAt : null,
+          durationMs: finishedAt - startedAt,
+          tokensPerSecond: tokensPerSecond(usage, firstTokenAt ? finishedAt - firstTokenAt : null)
+        },
+        quota,
+        hint: hint || undefined,
+        hints: hintStatus,
+        trace: trace
+          ? {
+              language: trace.language,
+              includeSolution: trace.includeSolution,
+              divergentLines: parseDivergentLines(fullResponse, countLines(trace.code))
+            }
+          : undefined,
+        citations: sources.map(toCitation)
+      });
+
     } catch (error) {
       if (error.name === 'AbortError') {
-        console.log(`[${id}] Request was cancelled`);
+        console.log(`[${id}] Request ${requestId || ''} was cancelled`);
+        status = 'cancelled';
         return;
       }
       console.error(`[${id}] ERROR:`, error.message);
-      ws.send(JSON.stringify({ 
+      reply({ 
         type: "error", 
         content: error.message 
-      }));
-      currentController = null;
+      });
+    } finally {
+      if (signal.aborted && status !== 'ok') {
+        status = 'cancelled';
+      }
+      if (release) release();
+      // Cancelled and failed generations still cost whatever was streamed
+      if (quotaConsumed && !tokensCharged && streamedText) {
+        quotas.addTokens(subject(), tokensUsed(null, userContent, streamedText));
+      }
+      const finishedAt = Date.now();
+      recordRequestMetrics({
+        userId: user ? user.id : null,
+        model: metricModel,
+        status,
+        usage,
+        ttftMs: firstTokenAt ? firstTokenAt - startedAt : null,
+        durationMs: finishedAt - startedAt,
+        tps: tokensPerSecond(usage, firstTokenAt ? finishedAt - firstTokenAt : null)
+      });
+
+      if (record) {
+        if (!record.done) finishInflightRequest(record);
+        attached.delete(record);
+      } else if (legacyController === controller) {
+        legacyController = null;
+      }
+    }
+  }
+
+  function handleCancel(message) {
+    const { requestId } = message;
+    const record = findInflightRequest(ownerKey(message), requestId);
+    if (!record || record.done) {
+      console.log(`[${id}] Cancel for unknown request ${requestId}`);
+      return;
+    }
+    record.controller.abort();
+    console.log(`[${id}] Cancelled request ${requestId}`);
+    emitFrame(record, { type: "cancelled" });
+    finishInflightRequest(record);
+  }
+
+  // Reattach a request that was streaming to a socket that dropped
+  function handleResume(message) {
+    const { requestId, lastSeq } = message;
+    const record = findInflightRequest(ownerKey(message), requestId);
+    if (!record) {
+      console.log(`[${id}] Resume failed for ${requestId}`);
+      send({ type: "error", code: "resume_failed", content: "This response is no longer available", requestId });
+      return;
+    }
+    console.log(`[${id}] Resuming ${requestId} after seq ${lastSeq}`);
+    attachInflightRequest(record, send, lastSeq);
+    attached.add(record);
+  }
+
+  ws.on("message", async (input) => {
+    await ready;
+
+    let message;
+    try {
+      message = parseClientMessage(input.toString());
+    } catch (error) {
+      console.log(`[${id}] BAD FRAME: ${error.message}`);
+      send({ type: "error", code: error.code || "bad_request", content: error.message, requestId: error.requestId || undefined });
+      return;
+    }
+
+    if (message.type === 'cancel') {
+      handleCancel(message);
+    } else if (message.type === 'resume') {
+      handleResume(message);
+    } else {
+      await handlePrompt(message);
     }
   });
 
   ws.on("close", () => {
-    // Cancel any ongoing request when connection closes
-    if (currentController) {
-      currentController.abort();
+    // Tagged requests keep running for a grace period so the client can resume;
+    // a legacy request has no way back and is cancelled right away
+    for (const record of attached) {
+      if (record.send === send) {
+        detachInflightRequest(record);
+      }
+    }
+    attached.clear();
+    if (legacyController) {
+      legacyController.abort();
     }
     const userName = user ? user.full_name : "Guest";
     console.log(`[${id}] CLOSED - User: ${userName}`);
@@ -487,12 +1686,23 @@ wss.on("connection", async (ws, req) => {
   });
 });
 
+ensureHistoryTables();
+ensureMetricsTable();
+ensureQuotaTable();
+ensureHintTable();
+ensureKnowledgeBase();
+setInterval(refreshKnowledgeBase, RAG_REFRESH_MINUTES * 60 * 1000);
+setInterval(() => quotas.pruneUsage(), 60 * 60 * 1000);
+
 server.listen(PORT, () => {
   console.log(`\n🤖 LLM Server running on port ${PORT}`);
-  console.log(`📚 Model: ${MODEL_NAME}`);
-  console.log(`🔗 Ollama: ${OLLAMA_URL}`);
+  console.log(`📚 Model: ${llm.model}`);
+  console.log(`🔗 Provider: ${llm.name}${llm.baseUrl ? ` (${llm.baseUrl})` : ''}`);
   console.log(`🔐 Session sharing: ENABLED (optional)`);
+  console.log(`🗂️  History window: ${HISTORY_TOKEN_BUDGET} tokens`);
   console.log(`🌐 Access at: http://localhost:${PORT}/llm`);
   console.log(`⚡ Health check: http://localhost:${PORT}/health`);
+  console.log(`📈 Metrics: http://localhost:${PORT}/metrics`);
+  console.log(`🚦 Concurrency: ${MAX_CONCURRENT_GENERATIONS} generation(s), up to ${MAX_QUEUED_REQUESTS} queued`);
   console.log(`💡 Note: LLM works for both authenticated and guest users\n`);
 });
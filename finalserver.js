@@ -17,6 +17,14 @@ const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
 const fs = require("fs");
+const { judgeSubmission } = require('./runner/judge');
+const { resolveLanguage } = require('./runner/languages');
+const { createQuestionStore, validateQuestion, validateTest, validateNote, slugify } = require('./questions/store');
+const { parsePackage, validatePackage, serializePackage } = require('./questions/package');
+const { TOPICS, resolveTopic } = require('./questions/topics');
+const { createDailyQuestions } = require('./questions/daily');
+const { createReviewQueue, validateGrade } = require('./questions/review');
+const { createHintTracker } = require('./llm/hints');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -113,7 +121,12 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parser
+// Body parser (judge submissions and saved attempts carry source code, notes
+// carry Markdown, so they get a larger limit)
+app.use(['/api/qodt-questions/:qid/submit', '/api/qodt-questions/:qid/attempts', '/api/qodt-questions/:qid/note'], bodyParser.json({ limit: '96kb' }));
+// Question authoring carries test data; packages may also be posted as YAML
+app.use('/api/admin/questions', bodyParser.json({ limit: '8mb' }));
+app.use('/api/admin/questions/import', bodyParser.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '8mb' }));
 app.use(bodyParser.json({ limit: '10kb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10kb' }));
 app.use('/uploads', express.static('uploads'));
@@ -150,8 +163,8 @@ const sessionStore = new MySQLStore({
   }
 }, pool);
 
-// Session middleware
-app.use(session({
+// Session middleware (also used to authenticate runner WebSocket upgrades)
+const sessionMiddleware = session({
   name: 'sessionId',
   secret: SESSION_SECRET,
   store: sessionStore,
@@ -163,7 +176,8 @@ app.use(session({
     sameSite: 'lax',
     maxAge: 24 * 60 * 60 * 1000
   }
-}));
+});
+app.use(sessionMiddleware);
 
 // Helper function to execute SQL queries
 async function query(sql, params = []) {
@@ -193,6 +207,29 @@ function authenticate(req, res, next) {
   }
 }
 
+// Comma-separated emails allowed to use the admin routes
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// Admin middleware - the logged-in user's email must be listed in ADMIN_EMAILS
+async function requireAdmin(req, res, next) {
+  if (!req.session || !req.session.userId) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  try {
+    const [user] = await query('SELECT email FROM users WHERE id = ?', [req.session.userId]);
+    if (!user || !ADMIN_EMAILS.includes(String(user.email).toLowerCase())) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    next();
+  } catch (err) {
+    console.error('Admin check error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
 // Email configuration
 const brevoApiKey = process.env.BREVO_API_KEY;
 const apiInstance = new brevo.TransactionalEmailsApi();
@@ -278,7 +315,88 @@ async function updateContestsFromAPI() {
   }
 }
 
-// Check and send reminders
+// Contest reminder offsets are minutes before the contest starts. Users pick
+// one or more per contest, or fall back to their preferred defaults.
+const DEFAULT_REMINDER_OFFSETS = [30];
+const MAX_REMINDER_OFFSETS = 5;
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// Reminders predate the offsets; existing rows get theirs from the contest start
+async function ensureReminderTables() {
+  try {
+    const [column] = await query(
+      `SELECT 1 AS present FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'reminders' AND COLUMN_NAME = 'offset_minutes'`
+    );
+    if (!column) {
+      await query('ALTER TABLE reminders ADD COLUMN offset_minutes INT NULL');
+      await query(
+        `UPDATE reminders r
+         JOIN contests c ON c.id = r.contest_id
+         SET r.offset_minutes = GREATEST(0, TIMESTAMPDIFF(MINUTE, r.reminder_time, c.start_time))`
+      );
+    }
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id INT PRIMARY KEY,
+        reminder_offsets VARCHAR(255) NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  } catch (err) {
+    console.error('Error preparing reminder tables:', err.message);
+  }
+}
+
+// 90 -> 90, "1d" -> 1440, "2h" -> 120, "10m" / "10 minutes" -> 10; null if invalid
+function parseReminderOffset(value) {
+  let minutes = null;
+  if (Number.isInteger(value)) {
+    minutes = value;
+  } else if (typeof value === 'string') {
+    const match = value.trim().toLowerCase().match(/^(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?)?$/);
+    if (match) {
+      minutes = parseInt(match[1]) * OFFSET_UNITS[(match[2] || 'm')[0]];
+    }
+  }
+  return minutes !== null && minutes >= 0 && minutes <= MAX_REMINDER_OFFSET_MINUTES ? minutes : null;
+}
+
+// Returns { offsets } (unique, largest first) or { error }
+function parseReminderOffsets(values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    return { error: 'offsets must be a non-empty list such as ["1d", "1h", "10m"]' };
+  }
+  const offsets = [];
+  for (const value of values) {
+    const minutes = parseReminderOffset(value);
+    if (minutes === null) {
+      return { error: `Invalid reminder offset ${JSON.stringify(value)} (use minutes or e.g. "1d", "1h", "10m", at most 7 days)` };
+    }
+    if (!offsets.includes(minutes)) offsets.push(minutes);
+  }
+  if (offsets.length > MAX_REMINDER_OFFSETS) {
+    return { error: `At most ${MAX_REMINDER_OFFSETS} reminder offsets are allowed` };
+  }
+  return { offsets: offsets.sort((a, b) => b - a) };
+}
+
+function formatReminderOffset(minutes) {
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if (minutes > 0 && minutes % OFFSET_UNITS.d === 0) return plural(minutes / OFFSET_UNITS.d, 'day');
+  if (minutes > 0 && minutes % OFFSET_UNITS.h === 0) return plural(minutes / OFFSET_UNITS.h, 'hour');
+  return plural(minutes, 'minute');
+}
+
+async function loadReminderOffsets(userId) {
+  const [prefs] = await query('SELECT reminder_offsets FROM user_preferences WHERE user_id = ?', [userId]);
+  return prefs && prefs.reminder_offsets ? JSON.parse(prefs.reminder_offsets) : DEFAULT_REMINDER_OFFSETS;
+}
+
+// Check and send reminders. Each due reminder is claimed on its own, so a
+// slow run never sends one twice; reminders for the same contest that fall
+// due together produce a single email.
 async function checkAndSendReminders() {
   try {
     const reminders = await query(
@@ -289,15 +407,25 @@ async function checkAndSendReminders() {
        JOIN contests c ON r.contest_id = c.id
        JOIN users u ON r.user_id = u.id
        WHERE r.reminder_sent = FALSE
-       AND r.reminder_time <= NOW()`
+       AND r.reminder_time <= NOW()
+       AND c.end_time > NOW()
+       ORDER BY r.reminder_time`
     );
 
+    const emailed = new Set();
     for (const reminder of reminders) {
       try {
-        await query(
-          `UPDATE reminders SET reminder_sent = TRUE WHERE id = ?`,
+        const claimed = await query(
+          `UPDATE reminders SET reminder_sent = TRUE WHERE id = ? AND reminder_sent = FALSE`,
           [reminder.id]
         );
+        const key = `${reminder.user_id}:${reminder.contest_id}`;
+        if (claimed.affectedRows === 0 || emailed.has(key)) {
+          continue;
+        }
+
+        const minutesLeft = Math.round((new Date(reminder.start_time) - Date.now()) / 60000);
+        const startsIn = minutesLeft > 1 ? `starts in ${formatReminderOffset(minutesLeft)}` : 'starts soon';
 
         const htmlContent = `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -324,12 +452,19 @@ async function checkAndSendReminders() {
           </div>
         `;
 
-        await sendEmail(
+        const sent = await sendEmail(
           reminder.email,
-          `Reminder: ${reminder.contest_name} starts soon!`,
+          `Reminder: ${reminder.contest_name} ${startsIn}!`,
           htmlContent
         );
 
+        if (!sent) {
+          // Release the claim so the next run retries (until the contest ends)
+          await query(`UPDATE reminders SET reminder_sent = FALSE WHERE id = ?`, [reminder.id]);
+          continue;
+        }
+
+        emailed.add(key);
         console.log(`Reminder sent for ${reminder.contest_name} to ${reminder.email}`);
       } catch (err) {
         console.error(`Error processing reminder: ${err.message}`);
@@ -340,12 +475,683 @@ async function checkAndSendReminders() {
   }
 }
 
+// Create online judge tables (test_cases belongs to the question store)
+async function ensureJudgeTables() {
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS submissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        language VARCHAR(20) NOT NULL,
+        code MEDIUMTEXT NOT NULL,
+        verdict ENUM('AC', 'WA', 'TLE', 'RE', 'CE') NOT NULL,
+        passed INT NOT NULL,
+        total INT NOT NULL,
+        time_ms INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_submissions_user_question (user_id, question_id)
+      )
+    `);
+  } catch (err) {
+    console.error('Error creating judge tables:', err.message);
+  }
+}
+
+// question_hints belongs to the LLM gateway (port 8000); create it here too so
+// profile-data works before the gateway has ever started
+async function ensureHintsTable() {
+  try {
+    await createHintTracker({ pool }).ensureTable();
+  } catch (err) {
+    console.error('Error creating question_hints table:', err.message);
+  }
+}
+
+// Create the table for saved solution attempts
+async function ensureAttemptsTable() {
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS solution_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        version INT NOT NULL,
+        language VARCHAR(20) NOT NULL,
+        source MEDIUMTEXT NOT NULL,
+        outcome ENUM('solved', 'partial', 'failed', 'gave_up', 'in_progress') NOT NULL DEFAULT 'in_progress',
+        notes TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_attempt_version (user_id, question_id, version)
+      )
+    `);
+  } catch (err) {
+    console.error('Error creating solution_attempts table:', err.message);
+  }
+}
+
+// Create the tables for private question notes and custom question lists
+async function ensureNotesTables() {
+  try {
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_notes (
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        body MEDIUMTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, question_id)
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_lists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_question_list_name (user_id, name)
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS question_list_items (
+        list_id INT NOT NULL,
+        question_id INT NOT NULL,
+        position INT NOT NULL,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (list_id, question_id),
+        INDEX idx_question_list_items_position (list_id, position)
+      )
+    `);
+  } catch (err) {
+    console.error('Error creating notes and lists tables:', err.message);
+  }
+}
+
+const MAX_NOTE_BYTES = 32 * 1024;
+const MAX_LIST_NAME_CHARS = 100;
+const MAX_LIST_DESCRIPTION_CHARS = 500;
+const MAX_LISTS_PER_USER = 50;
+const MAX_LIST_ITEMS = 500;
+
+// Returns an error message, or null. With partial, only given fields are checked.
+function validateListFields({ name, description }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_LIST_NAME_CHARS) {
+      return `name must be text of 1-${MAX_LIST_NAME_CHARS} characters`;
+    }
+  }
+  if (description != null && (typeof description !== 'string' || description.length > MAX_LIST_DESCRIPTION_CHARS)) {
+    return `description must be text of at most ${MAX_LIST_DESCRIPTION_CHARS} characters`;
+  }
+  return null;
+}
+
+// Lists of one user (or one list) with completion progress from question_status;
+// items whose question was deleted are not counted
+async function loadQuestionLists(userId, listId = null) {
+  const rows = await query(
+    `SELECT l.id, l.name, l.description, l.created_at, l.updated_at,
+            COUNT(q.qid) AS total,
+            COALESCE(SUM(qs.completed = 1), 0) AS completed
+     FROM question_lists l
+     LEFT JOIN question_list_items i ON i.list_id = l.id
+     LEFT JOIN questions q ON q.qid = i.question_id
+     LEFT JOIN question_status qs ON qs.question_id = q.qid AND qs.user_id = l.user_id
+     WHERE l.user_id = ?${listId ? ' AND l.id = ?' : ''}
+     GROUP BY l.id
+     ORDER BY l.created_at, l.id`,
+    listId ? [userId, listId] : [userId]
+  );
+
+  return rows.map(r => {
+    const total = Number(r.total);
+    const completed = Number(r.completed);
+    return {
+      id: r.id,
+      name: r.name,
+      description: r.description,
+      created_at: r.created_at,
+      updated_at: r.updated_at,
+      progress: {
+        total,
+        completed,
+        percent: total ? Math.round((completed / total) * 100) : 0
+      }
+    };
+  });
+}
+
+async function loadQuestionListItems(userId, listId) {
+  const rows = await query(
+    `SELECT i.question_id, i.position, i.added_at,
+            q.slug, q.qname, q.difficulty,
+            qs.bookmarked, qs.completed, n.body AS note
+     FROM question_list_items i
+     JOIN questions q ON q.qid = i.question_id
+     LEFT JOIN question_status qs ON qs.question_id = q.qid AND qs.user_id = ?
+     LEFT JOIN question_notes n ON n.question_id = q.qid AND n.user_id = ?
+     WHERE i.list_id = ?
+     ORDER BY i.position, i.added_at`,
+    [userId, userId, listId]
+  );
+
+  return rows.map(r => ({
+    questionId: r.question_id,
+    slug: r.slug,
+    name: r.qname,
+    difficulty: r.difficulty || 'easy',
+    bookmarked: !!r.bookmarked,
+    completed: !!r.completed,
+    note: r.note,
+    added_at: r.added_at
+  }));
+}
+
+// Markdown checklist of a list; notes are quoted under their question
+function questionListMarkdown(list, items) {
+  const lines = [`# ${list.name}`, ''];
+  if (list.description) {
+    lines.push(list.description, '');
+  }
+  lines.push(`Progress: ${list.progress.completed}/${list.progress.total} (${list.progress.percent}%)`, '');
+  items.forEach(item => {
+    lines.push(`- [${item.completed ? 'x' : ' '}] ${item.name} (${item.difficulty})`);
+    if (item.note) {
+      item.note.split('\n').forEach(line => lines.push(`  > ${line}`.trimEnd()));
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+const ATTEMPT_OUTCOMES = ['solved', 'partial', 'failed', 'gave_up', 'in_progress'];
+const MAX_ATTEMPT_SOURCE_BYTES = 64 * 1024;
+const MAX_ATTEMPT_NOTES_CHARS = 2000;
+const MAX_DIFF_LINES = 2000;
+const DIFF_CONTEXT_LINES = 3;
+
+// Known runner languages are stored under their canonical id (py -> python);
+// anything else is kept as a short lowercase label
+function normalizeAttemptLanguage(language) {
+  if (typeof language !== 'string') return null;
+  const known = resolveLanguage(language.trim());
+  if (known) return known.id;
+  const label = language.trim().toLowerCase();
+  return /^[a-z0-9+#.-]{1,20}$/.test(label) ? label : null;
+}
+
+// Line diff (LCS) between two sources, grouped into unified-diff style hunks
+function diffLines(oldText, newText) {
+  const a = oldText.replace(/\r\n/g, '\n').split('\n');
+  const b = newText.replace(/\r\n/g, '\n').split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'context', oldLine: i + 1, newLine: j + 1, text: a[i] });
+      i++; j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', oldLine: i + 1, newLine: null, text: a[i] });
+      i++;
+    } else {
+      ops.push({ type: 'added', oldLine: null, newLine: j + 1, text: b[j] });
+      j++;
+    }
+  }
+
+  // Keep DIFF_CONTEXT_LINES unchanged lines around each change
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    const nearChange = ops
+      .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+      .some(o => o.type !== 'context');
+    if (!nearChange) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lines: [] };
+      hunks.push(current);
+    }
+    current.lines.push(op);
+  });
+  hunks.forEach(hunk => {
+    const firstOld = hunk.lines.find(l => l.oldLine);
+    const firstNew = hunk.lines.find(l => l.newLine);
+    hunk.oldStart = firstOld ? firstOld.oldLine : 0;
+    hunk.newStart = firstNew ? firstNew.newLine : 0;
+    hunk.oldLines = hunk.lines.filter(l => l.type !== 'added').length;
+    hunk.newLines = hunk.lines.filter(l => l.type !== 'removed').length;
+  });
+
+  return {
+    added: ops.filter(o => o.type === 'added').length,
+    removed: ops.filter(o => o.type === 'removed').length,
+    hunks
+  };
+}
+
+// Question bank authoring (admin routes) and version history
+const questionStore = createQuestionStore({ pool });
+
+async function ensureQuestionTables() {
+  try {
+    await questionStore.ensureTables();
+  } catch (err) {
+    console.error('Error preparing question tables:', err.message);
+  }
+}
+
+// Sample from the question (visible) followed by its test cases.
+// revealHidden shows every test's data, for admin previews.
+function judgeTestsFor(question, { revealHidden = false } = {}) {
+  const tests = [];
+  if (question.sampleOutput) {
+    tests.push({ id: 'sample', input: question.sampleInput || '', expectedOutput: question.sampleOutput, hidden: false });
+  }
+  (question.tests || []).forEach((test, i) => tests.push({
+    id: test.id || `test-${i + 1}`,
+    input: test.input,
+    expectedOutput: test.expectedOutput,
+    hidden: revealHidden ? false : test.hidden !== false,
+    timeLimitMs: test.timeLimitMs || null
+  }));
+  return tests;
+}
+
+async function loadJudgeTests(questionId) {
+  const question = await questionStore.getQuestion(questionId);
+  if (!question) return null;
+  return { question, tests: judgeTestsFor(question) };
+}
+
+// Runner rejections (bad language, oversized code, no sandbox) are client
+// or availability errors; returns false for anything else
+function sendRunnerError(res, err) {
+  if (err.name !== 'RunnerError') return false;
+  const status = err.code === 'sandbox_unavailable' ? 503 : 400;
+  res.status(status).json({ message: err.message, code: err.code });
+  return true;
+}
+
+// Users with a submission being judged (one at a time per user)
+const activeJudgeRuns = new Set();
+
+// Question list filters, sorting and cursor pagination
+const QUESTION_PAGE_SIZE = 20;
+const MAX_QUESTION_PAGE_SIZE = 100;
+const MAX_SEARCH_CHARS = 200;
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// key: extra sort expression before qid (none sorts by qid alone).
+// Relevance is a full-text score, so it pages by offset instead of keyset.
+const QUESTION_SORTS = {
+  id: { key: null, desc: false },
+  newest: { key: null, desc: true },
+  name: { key: 'q.qname', desc: false },
+  difficulty: { key: "FIELD(COALESCE(q.difficulty, 'easy'), 'easy', 'medium', 'hard')", desc: false },
+  relevance: { byOffset: true }
+};
+
+function listParam(value) {
+  return [].concat(value || []).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function booleanParam(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return null;
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort and the last row
+function encodeQuestionCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeQuestionCursor(cursor, sort) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!data || data.s !== sort) return null;
+  if (QUESTION_SORTS[sort].byOffset) {
+    return Number.isInteger(data.o) && data.o > 0 ? data : null;
+  }
+  if (!Number.isInteger(data.id)) return null;
+  // Keyed sorts bind the last row's sort key too
+  if (QUESTION_SORTS[sort].key && !(typeof data.k === 'string' || typeof data.k === 'number' || data.k === null)) {
+    return null;
+  }
+  return data;
+}
+
+// Returns { error } or the options for listQuestionPage()
+function parseQuestionListQuery(params) {
+  const search = typeof params.q === 'string' ? params.q.trim() : '';
+  if (search.length > MAX_SEARCH_CHARS) {
+    return { error: `q must be at most ${MAX_SEARCH_CHARS} characters` };
+  }
+
+  const difficulties = listParam(params.difficulty).map(d => d.toLowerCase());
+  const badDifficulty = difficulties.find(d => !QUESTION_DIFFICULTIES.includes(d));
+  if (badDifficulty !== undefined) {
+    return { error: `difficulty must be one of ${QUESTION_DIFFICULTIES.join(', ')}` };
+  }
+
+  const tags = [];
+  for (const tag of listParam(params.tags)) {
+    const topic = resolveTopic(tag);
+    if (!topic) {
+      return { error: `Unknown tag ${JSON.stringify(tag)} (see GET /api/qodt-questions/tags)` };
+    }
+    if (!tags.includes(topic.slug)) tags.push(topic.slug);
+  }
+
+  const flags = {};
+  for (const name of ['bookmarked', 'completed']) {
+    if (params[name] === undefined) continue;
+    flags[name] = booleanParam(params[name]);
+    if (flags[name] === null) {
+      return { error: `${name} must be true or false` };
+    }
+  }
+
+  const sort = params.sort || (search ? 'relevance' : 'id');
+  if (!Object.prototype.hasOwnProperty.call(QUESTION_SORTS, sort)) {
+    return { error: `sort must be one of ${Object.keys(QUESTION_SORTS).join(', ')}` };
+  }
+  if (sort === 'relevance' && !search) {
+    return { error: 'sort=relevance needs a search query (q)' };
+  }
+
+  let limit = QUESTION_PAGE_SIZE;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, MAX_QUESTION_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (params.cursor) {
+    cursor = decodeQuestionCursor(String(params.cursor), sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor for this sort' };
+    }
+  }
+
+  return { search, difficulties, tags, ...flags, sort, limit, cursor };
+}
+
+async function loadQuestionTags(questionIds) {
+  const tags = new Map(questionIds.map(id => [id, []]));
+  if (questionIds.length === 0) return tags;
+  const rows = await query(
+    `SELECT question_id, tag FROM question_tags
+     WHERE question_id IN (${questionIds.map(() => '?').join(', ')})
+     ORDER BY tag`,
+    questionIds
+  );
+  rows.forEach(r => tags.get(r.question_id).push(r.tag));
+  return tags;
+}
+
+function formatQuestionRow(r, tags) {
+  return {
+    id: r.id,
+    name: r.name,
+    description: r.description,
+    input: r.input,
+    expectedOutput: r.expectedOutput,
+    difficulty: r.difficulty || 'easy',
+    tags: tags.get(r.id) || [],
+    bookmarked: !!r.bookmarked,
+    completed: !!r.completed,
+    version: r.version,
+    solvedVersion: r.solved_version,
+    changedSinceSolved: !!r.completed && !!r.solved_version && r.solved_version < r.version
+  };
+}
+
+const QUESTION_LIST_COLUMNS = `
+  q.qid AS id,
+  q.qname AS name,
+  q.qdescription AS description,
+  q.sample_input AS input,
+  q.sample_output AS expectedOutput,
+  q.difficulty,
+  q.version,
+  qs.bookmarked,
+  qs.completed,
+  qs.solved_version`;
+
+// One page of the user's question list: { questions, nextCursor, total }
+async function listQuestionPage(userId, options) {
+  const { search, difficulties, tags, bookmarked, completed, sort, limit, cursor } = options;
+  const spec = QUESTION_SORTS[sort];
+
+  const where = [];
+  const whereParams = [];
+  if (search) {
+    // Full-text misses short words and stopwords, so also match name substrings
+    where.push('(MATCH(q.qname, q.qdescription) AGAINST (? IN NATURAL LANGUAGE MODE) OR q.qname LIKE ?)');
+    whereParams.push(search, `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (difficulties.length > 0) {
+    where.push(`COALESCE(q.difficulty, 'easy') IN (${difficulties.map(() => '?').join(', ')})`);
+    whereParams.push(...difficulties);
+  }
+  if (tags.length > 0) {
+    // Questions carrying every requested tag
+    where.push(`q.qid IN (
+      SELECT question_id FROM question_tags
+      WHERE tag IN (${tags.map(() => '?').join(', ')})
+      GROUP BY question_id
+      HAVING COUNT(DISTINCT tag) = ?)`);
+    whereParams.push(...tags, tags.length);
+  }
+  if (bookmarked !== undefined) {
+    where.push('COALESCE(qs.bookmarked, 0) = ?');
+    whereParams.push(bookmarked ? 1 : 0);
+  }
+  if (completed !== undefined) {
+    where.push('COALESCE(qs.completed, 0) = ?');
+    whereParams.push(completed ? 1 : 0);
+  }
+
+  const fromSql = `FROM questions q
+    LEFT JOIN question_status qs
+      ON q.qid = qs.question_id AND qs.user_id = ?`;
+  const whereSql = (conditions) => conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [{ total }] = await query(
+    `SELECT COUNT(*) AS total ${fromSql} ${whereSql(where)}`,
+    [userId, ...whereParams]
+  );
+
+  const pageWhere = [...where];
+  const pageParams = [...whereParams];
+  let extraColumns = '';
+  const selectParams = [];
+  let orderSql;
+  let offset = 0;
+
+  if (spec.byOffset) {
+    extraColumns = ', MATCH(q.qname, q.qdescription) AGAINST (? IN NATURAL LANGUAGE MODE) AS score';
+    selectParams.push(search);
+    orderSql = 'score DESC, q.qid ASC';
+    offset = cursor ? cursor.o : 0;
+  } else {
+    const dir = spec.desc ? 'DESC' : 'ASC';
+    const cmp = spec.desc ? '<' : '>';
+    if (spec.key) {
+      extraColumns = `, ${spec.key} AS sort_key`;
+      orderSql = `${spec.key} ${dir}, q.qid ${dir}`;
+      if (cursor) {
+        pageWhere.push(`(${spec.key} ${cmp} ? OR (${spec.key} = ? AND q.qid ${cmp} ?))`);
+        pageParams.push(cursor.k, cursor.k, cursor.id);
+      }
+    } else {
+      orderSql = `q.qid ${dir}`;
+      if (cursor) {
+        pageWhere.push(`q.qid ${cmp} ?`);
+        pageParams.push(cursor.id);
+      }
+    }
+  }
+
+  // LIMIT/OFFSET are validated integers; one extra row tells if there is more
+  const rows = await query(
+    `SELECT ${QUESTION_LIST_COLUMNS}${extraColumns}
+    ${fromSql}
+    ${whereSql(pageWhere)}
+    ORDER BY ${orderSql}
+    LIMIT ${limit + 1} OFFSET ${offset}`,
+    [...selectParams, userId, ...pageParams]
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  let nextCursor = null;
+  if (hasMore) {
+    const last = page[page.length - 1];
+    nextCursor = encodeQuestionCursor(spec.byOffset
+      ? { s: sort, o: offset + limit }
+      : { s: sort, k: spec.key ? last.sort_key : undefined, id: last.id });
+  }
+
+  const tagsById = await loadQuestionTags(page.map(r => r.id));
+  return {
+    questions: page.map(r => formatQuestionRow(r, tagsById)),
+    nextCursor,
+    total
+  };
+}
+
+// Question of the Day: QOTD_STRATEGY is round-robin, difficulty-cycle or
+// unsolved-first; days roll over at midnight in QOTD_TIMEZONE
+const dailyQuestions = createDailyQuestions({
+  pool,
+  strategy: process.env.QOTD_STRATEGY || 'round-robin',
+  timeZone: process.env.QOTD_TIMEZONE || 'UTC'
+});
+
+async function pickDailyQuestion() {
+  try {
+    const pick = await dailyQuestions.ensureDay();
+    if (pick) {
+      console.log(`Question of the day for ${pick.day}: #${pick.questionId} (${pick.strategy})`);
+    }
+  } catch (err) {
+    console.error('Error picking question of the day:', err.message);
+  }
+}
+
+async function ensureDailyTables() {
+  try {
+    await dailyQuestions.ensureTables();
+    await pickDailyQuestion();
+  } catch (err) {
+    console.error('Error preparing question of the day tables:', err.message);
+  }
+}
+
+// Counts toward the daily-solve streak when questionId is the user's question
+// of the day; a failure here must not block the completion itself
+async function recordDailySolve(userId, questionId) {
+  try {
+    await dailyQuestions.recordSolve(userId, questionId);
+  } catch (err) {
+    console.error('Error recording daily solve:', err.message);
+  }
+}
+
+// Spaced-repetition review of solved and bookmarked questions; days follow
+// the question of the day's time zone. REVIEW_NEW_PER_DAY caps how many
+// not yet reviewed questions join the queue each day.
+const reviewQueue = createReviewQueue({
+  pool,
+  timeZone: dailyQuestions.timeZone,
+  newPerDay: parseInt(process.env.REVIEW_NEW_PER_DAY) || undefined
+});
+
+async function ensureReviewTables() {
+  try {
+    await reviewQueue.ensureTables();
+  } catch (err) {
+    console.error('Error preparing review tables:', err.message);
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Daily "N questions due" email for everyone with reviews due
+async function sendReviewDigests() {
+  try {
+    const digests = await reviewQueue.dueCounts();
+
+    for (const digest of digests) {
+      const more = digest.count - digest.names.length;
+      const htmlContent = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2c3e50;">${digest.count} question${digest.count === 1 ? '' : 's'} due for review</h2>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px;">
+            <p>Hi ${escapeHtml(digest.fullName)}, these are ready for another look:</p>
+            <ul>
+              ${digest.names.map(name => `<li>${escapeHtml(name)}</li>`).join('')}
+            </ul>
+            ${more > 0 ? `<p>...and ${more} more.</p>` : ''}
+          </div>
+          <p style="margin-top: 20px;">Happy coding!</p>
+        </div>
+      `;
+
+      await sendEmail(
+        digest.email,
+        `Smart Code Hub: ${digest.count} question${digest.count === 1 ? '' : 's'} due for review`,
+        htmlContent
+      );
+    }
+    console.log(`Review digests sent to ${digests.length} user(s)`);
+  } catch (err) {
+    console.error('Error sending review digests:', err.message);
+  }
+}
+
 // Schedule contest update every 15 minutes
 cron.schedule('*/15 * * * *', updateContestsFromAPI);
 
 // Schedule reminder checks every minute
 cron.schedule('* * * * *', checkAndSendReminders);
 
+// Pick the question of the day at midnight
+cron.schedule('0 0 * * *', pickDailyQuestion, { timezone: dailyQuestions.timeZone });
+
+// Send review digests every morning
+cron.schedule('0 8 * * *', sendReviewDigests, { timezone: dailyQuestions.timeZone });
+
 // ==================== ROUTES ====================
 
 // Root route
@@ -756,6 +1562,10 @@ app.get('/api/contests', authenticate, async (req, res) => {
   }
 });
 
+// Body: { contestId, offsets? } - offsets like ["1d", "1h", 10] (minutes
+// before the start); without them the user's default offsets are used.
+// Offsets already passed are skipped, but a contest starting sooner than
+// every offset still gets one reminder right away.
 app.post('/api/reminders', authenticate, async (req, res) => {
   const userId = req.session.userId;
   const { contestId } = req.body;
@@ -765,16 +1575,15 @@ app.post('/api/reminders', authenticate, async (req, res) => {
   }
 
   try {
-    const [existing] = await query(
-      `SELECT id FROM reminders 
-       WHERE user_id = ? AND contest_id = ? AND reminder_sent = FALSE`,
-      [userId, contestId]
-    );
-
-    if (existing) {
-      return res.status(400).json({ 
-        message: 'You already have an active reminder for this contest' 
-      });
+    let offsets;
+    if (req.body.offsets !== undefined) {
+      const parsed = parseReminderOffsets(req.body.offsets);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      offsets = parsed.offsets;
+    } else {
+      offsets = await loadReminderOffsets(userId);
     }
 
     const [contest] = await query('SELECT start_time FROM contests WHERE id = ?', [contestId]);
@@ -784,45 +1593,85 @@ app.post('/api/reminders', authenticate, async (req, res) => {
 
     const contestStart = new Date(contest.start_time);
     const now = new Date();
-    let reminderTime;
-    
-    if ((contestStart - now) <= 30 * 60 * 1000) {
-      reminderTime = now;
-    } else {
-      reminderTime = new Date(contestStart - 30 * 60000);
+    if (contestStart <= now) {
+      return res.status(400).json({ message: 'This contest has already started' });
     }
 
-    await query(
-      `INSERT INTO reminders (user_id, contest_id, reminder_time, reminder_sent) 
-       VALUES (?, ?, ?, FALSE)`,
-      [userId, contestId, reminderTime]
+    const existing = await query(
+      `SELECT offset_minutes FROM reminders
+       WHERE user_id = ? AND contest_id = ? AND offset_minutes IS NOT NULL`,
+      [userId, contestId]
     );
+    const taken = new Set(existing.map(r => r.offset_minutes));
+
+    let schedule = offsets
+      .filter(offset => !taken.has(offset))
+      .map(offset => ({ offset, time: new Date(contestStart - offset * 60000) }));
+    const upcoming = schedule.filter(item => item.time > now);
+    if (upcoming.length === 0 && schedule.length > 0) {
+      // Too close for any offset: remind now, labelled with the smallest one
+      schedule = [{ offset: schedule[schedule.length - 1].offset, time: now }];
+    } else {
+      schedule = upcoming;
+    }
 
-    res.json({ message: 'Reminder set successfully' });
+    if (schedule.length === 0) {
+      return res.status(400).json({
+        message: 'You already have reminders at these times for this contest'
+      });
+    }
+
+    for (const item of schedule) {
+      await query(
+        `INSERT INTO reminders (user_id, contest_id, reminder_time, reminder_sent, offset_minutes) 
+         VALUES (?, ?, ?, FALSE, ?)`,
+        [userId, contestId, item.time, item.offset]
+      );
+    }
+
+    res.json({
+      message: schedule.length === 1 ? 'Reminder set successfully' : `${schedule.length} reminders set successfully`,
+      reminders: schedule.map(item => ({
+        offset_minutes: item.offset,
+        offset_label: formatReminderOffset(item.offset),
+        reminder_time: item.time
+      }))
+    });
   } catch (err) {
     console.error('Error setting reminder:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Body: { contestId, offsetMinutes? } - cancels every pending reminder for
+// the contest, or only the one at offsetMinutes
 app.post('/api/reminders/cancel', authenticate, async (req, res) => {
   const userId = req.session.userId;
-  const { contestId } = req.body;
+  const { contestId, offsetMinutes } = req.body;
   
   if (!contestId) {
     return res.
     status(400).json({ message: 'Contest ID is required' });
   }
+  if (offsetMinutes !== undefined && parseReminderOffset(offsetMinutes) === null) {
+    return res.status(400).json({ message: 'Invalid offsetMinutes' });
+  }
 
   try {
-    const result = await query(
-      `DELETE FROM reminders 
-       WHERE user_id = ? AND contest_id = ? AND reminder_sent = FALSE`,
-      [userId, contestId]
-    );
+    const result = offsetMinutes === undefined
+      ? await query(
+          `DELETE FROM reminders 
+           WHERE user_id = ? AND contest_id = ? AND reminder_sent = FALSE`,
+          [userId, contestId]
+        )
+      : await query(
+          `DELETE FROM reminders 
+           WHERE user_id = ? AND contest_id = ? AND offset_minutes = ? AND reminder_sent = FALSE`,
+          [userId, contestId, parseReminderOffset(offsetMinutes)]
+        );
 
     if (result.affectedRows > 0) {
-      res.json({ message: 'Reminder cancelled successfully' });
+      res.json({ message: 'Reminder cancelled successfully', cancelled: result.affectedRows });
     } else {
       res.status(404).json({ message: 'No active reminder found to cancel' });
     }
@@ -832,20 +1681,47 @@ app.post('/api/reminders/cancel', authenticate, async (req, res) => {
   }
 });
 
+app.delete('/api/reminders/:id', authenticate, async (req, res) => {
+  const reminderId = parseInt(req.params.id);
+
+  if (!reminderId) {
+    return res.status(400).json({ message: 'Reminder ID is required' });
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM reminders WHERE id = ? AND user_id = ? AND reminder_sent = FALSE',
+      [reminderId, req.session.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No active reminder found to cancel' });
+    }
+    res.json({ message: 'Reminder cancelled successfully' });
+  } catch (err) {
+    console.error('Error cancelling reminder:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One row per scheduled reminder; ?contestId= narrows to one contest
 app.get('/api/reminders', authenticate, async (req, res) => {
   const userId = req.session.userId;
+  const contestId = req.query.contestId ? parseInt(req.query.contestId) : null;
 
   try {
     const reminders = await query(
       `SELECT r.*, c.contest_name, c.start_time, c.platform, c.contest_url 
        FROM reminders r
        JOIN contests c ON r.contest_id = c.id
-       WHERE r.user_id = ? AND c.end_time > NOW()
-       ORDER BY c.start_time ASC`,
-      [userId]
+       WHERE r.user_id = ? AND c.end_time > NOW()${contestId ? ' AND r.contest_id = ?' : ''}
+       ORDER BY c.start_time ASC, r.reminder_time ASC`,
+      contestId ? [userId, contestId] : [userId]
     );
 
-    res.json(reminders);
+    res.json(reminders.map(r => ({
+      ...r,
+      offset_label: r.offset_minutes == null ? null : formatReminderOffset(r.offset_minutes)
+    })));
   } catch (err) {
     console.error('Error fetching reminders:', err);
     res.status(500).json({ message: 'Server error' });
@@ -857,127 +1733,1126 @@ app.get('/api/qodt-questions', authenticate, async (req, res) => {
   const userId = req.session.userId;
 
   try {
-    const rows = await query(
-      `SELECT
-        q.qid AS id,
-        q.qname AS name,
-        q.qdescription AS description,
-        q.sample_input AS input,
-        q.sample_output AS expectedOutput,
-        q.difficulty,
-        qs.bookmarked,
-        qs.completed
-      FROM questions q
-      LEFT JOIN question_status qs
-        ON q.qid = qs.question_id AND qs.user_id = ?
-      ORDER BY q.qid`,
-      [userId]
+    // Without parameters this stays the full list ordered by qid
+    if (Object.keys(req.query).length === 0) {
+      const rows = await query(
+        `SELECT ${QUESTION_LIST_COLUMNS}
+        FROM questions q
+        LEFT JOIN question_status qs
+          ON q.qid = qs.question_id AND qs.user_id = ?
+        ORDER BY q.qid`,
+        [userId]
+      );
+      const tagsById = await loadQuestionTags(rows.map(r => r.id));
+      return res.json(rows.map(r => formatQuestionRow(r, tagsById)));
+    }
+
+    const options = parseQuestionListQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    res.json(await listQuestionPage(userId, options));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Topic taxonomy for tags, with how many questions carry each
+app.get('/api/qodt-questions/tags', authenticate, async (req, res) => {
+  try {
+    const rows = await query('SELECT tag, COUNT(*) AS count FROM question_tags GROUP BY tag');
+    const counts = new Map(rows.map(r => [r.tag, r.count]));
+    res.json(TOPICS.map(topic => ({ ...topic, count: counts.get(topic.slug) || 0 })));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// All of the user's notes, most recently edited first
+app.get('/api/qodt-questions/notes', authenticate, async (req, res) => {
+  try {
+    const rows = await query(
+      `SELECT n.question_id, q.qname AS name, n.body, n.created_at, n.updated_at
+       FROM question_notes n
+       JOIN questions q ON q.qid = n.question_id
+       WHERE n.user_id = ?
+       ORDER BY n.updated_at DESC`,
+      [req.session.userId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/session/question', authenticate, (req, res) => {
+  const { questionId } = req.body;
+  if (!questionId) return res.status(400).json({ message: 'Missing questionId' });
+
+  req.session.selectedQuestionId = questionId;
+  req.session.save(err => {
+    if (err) return res.status(500).json({ message: 'Failed to save questionId' });
+    res.json({ success: true, questionId });
+  });
+});
+
+app.get('/api/session/question', authenticate, (req, res) => {
+  res.json({ questionId: req.session.selectedQuestionId || null });
+});
+
+app.post('/api/qodt-questions/update-status', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const { questionId, bookmarked, completed } = req.body;
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'questionId is required' });
+  }
+
+  try {
+    // Questions the judge can check (a sample output or test cases, as /submit
+    // uses them) can only be newly completed by an accepted submission.
+    // Re-sending completed (e.g. with a bookmark toggle) is not a new solve.
+    if (completed) {
+      const [current] = await query(
+        'SELECT completed FROM question_status WHERE user_id = ? AND question_id = ?',
+        [userId, questionId]
+      );
+      if (!current || !current.completed) {
+        const judgeData = await loadJudgeTests(questionId);
+        if (judgeData && judgeData.tests.length > 0) {
+          const [accepted] = await query(
+            `SELECT COUNT(*) AS count FROM submissions WHERE user_id = ? AND question_id = ? AND verdict = 'AC'`,
+            [userId, questionId]
+          );
+          if (accepted.count === 0) {
+            return res.status(403).json({ message: 'Pass all test cases to complete this question' });
+          }
+        }
+        await recordDailySolve(userId, questionId);
+      }
+    }
+
+    // solved_version keeps the version first marked solved until it is unmarked
+    const result = await query(
+      `INSERT INTO question_status (user_id, question_id, bookmarked, completed, solved_version)
+       SELECT ?, ?, ?, ?, IF(? = 1, version, NULL) FROM questions WHERE qid = ?
+       ON DUPLICATE KEY UPDATE
+         bookmarked = VALUES(bookmarked),
+         completed = VALUES(completed),
+         solved_version = IF(VALUES(completed) = 1, COALESCE(solved_version, VALUES(solved_version)), NULL)`,
+      [userId, questionId, bookmarked ? 1 : 0, completed ? 1 : 0, completed ? 1 : 0, questionId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    res.json({ message: 'Status updated successfully' });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/qodt-questions/:qid/submit', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+  const { language, code } = req.body;
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+  if (typeof language !== 'string' || typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({ message: 'language and code are required' });
+  }
+  if (activeJudgeRuns.has(userId)) {
+    return res.status(429).json({ message: 'A submission is already being judged' });
+  }
+
+  activeJudgeRuns.add(userId);
+  try {
+    const judgeData = await loadJudgeTests(questionId);
+    if (!judgeData) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    if (judgeData.tests.length === 0) {
+      return res.status(409).json({ message: 'This question has no test cases yet' });
+    }
+
+    let result;
+    try {
+      result = await judgeSubmission({ language, code, tests: judgeData.tests });
+    } catch (err) {
+      if (sendRunnerError(res, err)) return;
+      throw err;
+    }
+
+    await query(
+      `INSERT INTO submissions (user_id, question_id, language, code, verdict, passed, total, time_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, questionId, language, code, result.verdict, result.passed, result.total, result.timeMs]
+    );
+
+    // Only a full pass marks the question completed. Any bookmark is kept, and
+    // so is the version first solved until the question is unmarked
+    if (result.verdict === 'AC') {
+      await recordDailySolve(userId, questionId);
+      await query(
+        `INSERT INTO question_status (user_id, question_id, bookmarked, completed, solved_version)
+         VALUES (?, ?, 0, 1, ?)
+         ON DUPLICATE KEY UPDATE completed = 1, solved_version = COALESCE(solved_version, VALUES(solved_version))`,
+        [userId, questionId, judgeData.question.version]
+      );
+    }
+
+    res.json({ ...result, completed: result.verdict === 'AC' });
+  } catch (err) {
+    console.error('Judge error:', err);
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    activeJudgeRuns.delete(userId);
+  }
+});
+
+// Solution attempts (versioned per user and question)
+app.post('/api/qodt-questions/:qid/attempts', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+  const { source, outcome = 'in_progress', notes } = req.body;
+  const language = normalizeAttemptLanguage(req.body.language);
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+  if (!language) {
+    return res.status(400).json({ message: 'A valid language is required' });
+  }
+  if (typeof source !== 'string' || !source.trim()) {
+    return res.status(400).json({ message: 'source is required' });
+  }
+  if (Buffer.byteLength(source) > MAX_ATTEMPT_SOURCE_BYTES) {
+    return res.status(400).json({ message: `source must be at most ${MAX_ATTEMPT_SOURCE_BYTES / 1024} KB` });
+  }
+  if (!ATTEMPT_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ message: `outcome must be one of ${ATTEMPT_OUTCOMES.join(', ')}` });
+  }
+  if (notes != null && (typeof notes !== 'string' || notes.length > MAX_ATTEMPT_NOTES_CHARS)) {
+    return res.status(400).json({ message: `notes must be text of at most ${MAX_ATTEMPT_NOTES_CHARS} characters` });
+  }
+
+  try {
+    const [question] = await query('SELECT qid FROM questions WHERE qid = ?', [questionId]);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    // Next version is computed in the insert itself; the unique key rejects a concurrent duplicate
+    const result = await query(
+      `INSERT INTO solution_attempts (user_id, question_id, version, language, source, outcome, notes)
+       SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?
+       FROM solution_attempts WHERE user_id = ? AND question_id = ?`,
+      [userId, questionId, language, source, outcome, notes || null, userId, questionId]
+    );
+    const [attempt] = await query(
+      'SELECT id, version, language, outcome, notes, created_at FROM solution_attempts WHERE id = ?',
+      [result.insertId]
+    );
+
+    res.status(201).json(attempt);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/qodt-questions/:qid/attempts', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+
+  try {
+    const rows = await query(
+      `SELECT id, version, language, outcome, notes, created_at,
+              LENGTH(source) - LENGTH(REPLACE(source, '\\n', '')) + 1 AS line_count
+       FROM solution_attempts
+       WHERE user_id = ? AND question_id = ?
+       ORDER BY version DESC`,
+      [userId, questionId]
+    );
+
+    res.json(rows.map(r => ({ ...r, line_count: Number(r.line_count) })));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff between two versions: ?from=<version>&to=<version>
+app.get('/api/qodt-questions/:qid/attempts/diff', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+
+  if (!questionId || !from || !to) {
+    return res.status(400).json({ message: 'Question ID, from and to versions are required' });
+  }
+
+  try {
+    const rows = await query(
+      `SELECT id, version, language, outcome, notes, source, created_at
+       FROM solution_attempts
+       WHERE user_id = ? AND question_id = ? AND version IN (?, ?)`,
+      [userId, questionId, from, to]
+    );
+    const older = rows.find(r => r.version === from);
+    const newer = rows.find(r => r.version === to);
+    if (!older || !newer) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const oldLines = older.source.split('\n').length;
+    const newLines = newer.source.split('\n').length;
+    if (oldLines > MAX_DIFF_LINES || newLines > MAX_DIFF_LINES) {
+      return res.status(413).json({ message: `Attempts longer than ${MAX_DIFF_LINES} lines cannot be diffed` });
+    }
+
+    const { source: oldSource, ...fromMeta } = older;
+    const { source: newSource, ...toMeta } = newer;
+    res.json({
+      from: fromMeta,
+      to: toMeta,
+      ...diffLines(oldSource, newSource)
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/qodt-questions/:qid/attempts/:version', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+  const version = parseInt(req.params.version);
+
+  if (!questionId || !version) {
+    return res.status(400).json({ message: 'Question ID and version are required' });
+  }
+
+  try {
+    const [attempt] = await query(
+      `SELECT id, version, language, source, outcome, notes, created_at
+       FROM solution_attempts
+       WHERE user_id = ? AND question_id = ? AND version = ?`,
+      [userId, questionId, version]
+    );
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    res.json(attempt);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/qodt-questions/:qid', authenticate, async (req, res) => {
+  const qid = req.params.qid;
+  const userId = req.session.userId;
+  
+  if (!qid) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+
+  try {
+    const [row] = await query(
+      `SELECT ${QUESTION_LIST_COLUMNS}
+      FROM questions q
+      LEFT JOIN question_status qs
+        ON q.qid = qs.question_id AND qs.user_id = ?
+      WHERE q.qid = ?`,
+      [userId, qid]
+    );
+
+    if (!row) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const tagsById = await loadQuestionTags([row.id]);
+    res.json(formatQuestionRow(row, tagsById));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Private question notes (Markdown, one per user and question)
+app.get('/api/qodt-questions/:qid/note', authenticate, async (req, res) => {
+  const questionId = parseInt(req.params.qid);
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+
+  try {
+    const [note] = await query(
+      'SELECT question_id, body, created_at, updated_at FROM question_notes WHERE user_id = ? AND question_id = ?',
+      [req.session.userId, questionId]
+    );
+    if (!note) {
+      return res.status(404).json({ message: 'No note for this question' });
+    }
+    res.json(note);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { body } (Markdown). Creates or replaces the note.
+app.put('/api/qodt-questions/:qid/note', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const questionId = parseInt(req.params.qid);
+  const { body } = req.body;
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+  if (typeof body !== 'string' || !body.trim()) {
+    return res.status(400).json({ message: 'body is required' });
+  }
+  if (Buffer.byteLength(body) > MAX_NOTE_BYTES) {
+    return res.status(400).json({ message: `body must be at most ${MAX_NOTE_BYTES / 1024} KB` });
+  }
+
+  try {
+    const [question] = await query('SELECT qid FROM questions WHERE qid = ?', [questionId]);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    await query(
+      `INSERT INTO question_notes (user_id, question_id, body) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE body = VALUES(body)`,
+      [userId, questionId, body]
+    );
+    const [note] = await query(
+      'SELECT question_id, body, created_at, updated_at FROM question_notes WHERE user_id = ? AND question_id = ?',
+      [userId, questionId]
+    );
+    res.json(note);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/qodt-questions/:qid/note', authenticate, async (req, res) => {
+  const questionId = parseInt(req.params.qid);
+
+  if (!questionId) {
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM question_notes WHERE user_id = ? AND question_id = ?',
+      [req.session.userId, questionId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No note for this question' });
+    }
+    res.json({ message: 'Note deleted' });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Custom question lists
+app.get('/api/qodt-lists', authenticate, async (req, res) => {
+  try {
+    res.json(await loadQuestionLists(req.session.userId));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { name, description? }
+app.post('/api/qodt-lists', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const { name, description } = req.body;
+
+  const problem = validateListFields({ name, description });
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const [count] = await query('SELECT COUNT(*) AS count FROM question_lists WHERE user_id = ?', [userId]);
+    if (count.count >= MAX_LISTS_PER_USER) {
+      return res.status(409).json({ message: `You can have at most ${MAX_LISTS_PER_USER} lists` });
+    }
+
+    const [existing] = await query(
+      'SELECT id FROM question_lists WHERE user_id = ? AND name = ?',
+      [userId, name.trim()]
     );
+    if (existing) {
+      return res.status(409).json({ message: 'You already have a list with this name' });
+    }
+
+    const result = await query(
+      'INSERT INTO question_lists (user_id, name, description) VALUES (?, ?, ?)',
+      [userId, name.trim(), description || null]
+    );
+    const [list] = await loadQuestionLists(userId, result.insertId);
+    res.status(201).json(list);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/qodt-lists/:listId', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+
+  if (!listId) {
+    return res.status(400).json({ message: 'List ID is required' });
+  }
+
+  try {
+    const [list] = await loadQuestionLists(userId, listId);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    res.json({ ...list, items: await loadQuestionListItems(userId, listId) });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { name?, description? } (description null clears it)
+app.patch('/api/qodt-lists/:listId', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+  const { name, description } = req.body;
+
+  if (!listId) {
+    return res.status(400).json({ message: 'List ID is required' });
+  }
+  if (name === undefined && description === undefined) {
+    return res.status(400).json({ message: 'Nothing to update' });
+  }
+  const problem = validateListFields({ name, description }, { partial: true });
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const [list] = await query('SELECT id FROM question_lists WHERE id = ? AND user_id = ?', [listId, userId]);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    if (name !== undefined) {
+      const [existing] = await query(
+        'SELECT id FROM question_lists WHERE user_id = ? AND name = ? AND id <> ?',
+        [userId, name.trim(), listId]
+      );
+      if (existing) {
+        return res.status(409).json({ message: 'You already have a list with this name' });
+      }
+    }
+
+    await query(
+      `UPDATE question_lists
+       SET name = COALESCE(?, name), description = IF(?, ?, description)
+       WHERE id = ?`,
+      [name !== undefined ? name.trim() : null, description !== undefined ? 1 : 0, description || null, listId]
+    );
+    const [updated] = await loadQuestionLists(userId, listId);
+    res.json(updated);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/qodt-lists/:listId', authenticate, async (req, res) => {
+  const listId = parseInt(req.params.listId);
+
+  if (!listId) {
+    return res.status(400).json({ message: 'List ID is required' });
+  }
+
+  try {
+    const result = await query(
+      'DELETE FROM question_lists WHERE id = ? AND user_id = ?',
+      [listId, req.session.userId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    await query('DELETE FROM question_list_items WHERE list_id = ?', [listId]);
+    res.json({ message: 'List deleted' });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { questionId }. Adds the question at the end of the list.
+app.post('/api/qodt-lists/:listId/items', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+  const questionId = parseInt(req.body.questionId);
+
+  if (!listId || !questionId) {
+    return res.status(400).json({ message: 'List ID and questionId are required' });
+  }
+
+  try {
+    const [list] = await query('SELECT id FROM question_lists WHERE id = ? AND user_id = ?', [listId, userId]);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    const [question] = await query('SELECT qid FROM questions WHERE qid = ?', [questionId]);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    const [count] = await query('SELECT COUNT(*) AS count FROM question_list_items WHERE list_id = ?', [listId]);
+    if (count.count >= MAX_LIST_ITEMS) {
+      return res.status(409).json({ message: `A list holds at most ${MAX_LIST_ITEMS} questions` });
+    }
+
+    // INSERT IGNORE: the primary key keeps a question in a list once
+    const result = await query(
+      `INSERT IGNORE INTO question_list_items (list_id, question_id, position)
+       SELECT ?, ?, COALESCE(MAX(position), 0) + 1
+       FROM question_list_items WHERE list_id = ?`,
+      [listId, questionId, listId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'Question is already in this list' });
+    }
+
+    const [updated] = await loadQuestionLists(userId, listId);
+    res.status(201).json(updated);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/qodt-lists/:listId/items/:qid', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+  const questionId = parseInt(req.params.qid);
+
+  if (!listId || !questionId) {
+    return res.status(400).json({ message: 'List ID and question ID are required' });
+  }
+
+  try {
+    const [list] = await query('SELECT id FROM question_lists WHERE id = ? AND user_id = ?', [listId, userId]);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    const result = await query(
+      'DELETE FROM question_list_items WHERE list_id = ? AND question_id = ?',
+      [listId, questionId]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Question is not in this list' });
+    }
+
+    const [updated] = await loadQuestionLists(userId, listId);
+    res.json(updated);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { questionIds } - every question in the list, in the new order
+app.put('/api/qodt-lists/:listId/order', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+  const { questionIds } = req.body;
+
+  if (!listId) {
+    return res.status(400).json({ message: 'List ID is required' });
+  }
+  if (!Array.isArray(questionIds) || questionIds.length === 0 || !questionIds.every(id => Number.isInteger(id))) {
+    return res.status(400).json({ message: 'questionIds must be a non-empty list of question IDs' });
+  }
+
+  try {
+    const [list] = await query('SELECT id FROM question_lists WHERE id = ? AND user_id = ?', [listId, userId]);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const rows = await query('SELECT question_id FROM question_list_items WHERE list_id = ?', [listId]);
+    const current = new Set(rows.map(r => r.question_id));
+    const given = new Set(questionIds);
+    if (given.size !== questionIds.length || given.size !== current.size || questionIds.some(id => !current.has(id))) {
+      return res.status(400).json({ message: 'questionIds must list every question in the list exactly once' });
+    }
+
+    // One statement, so a concurrent reader never sees a half-applied order
+    await query(
+      `UPDATE question_list_items
+       SET position = FIELD(question_id, ${questionIds.map(() => '?').join(', ')})
+       WHERE list_id = ?`,
+      [...questionIds, listId]
+    );
+
+    const [updated] = await loadQuestionLists(userId, listId);
+    res.json({ ...updated, items: await loadQuestionListItems(userId, listId) });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a list: ?format=json (default) or markdown, with progress and notes
+app.get('/api/qodt-lists/:listId/export', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+  const listId = parseInt(req.params.listId);
+  const format = req.query.format || 'json';
+
+  if (!listId) {
+    return res.status(400).json({ message: 'List ID is required' });
+  }
+  if (!['json', 'markdown'].includes(format)) {
+    return res.status(400).json({ message: 'format must be json or markdown' });
+  }
+
+  try {
+    const [list] = await loadQuestionLists(userId, listId);
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+    const items = await loadQuestionListItems(userId, listId);
+    const fileName = slugify(list.name) || `list-${list.id}`;
+
+    if (format === 'markdown') {
+      res.attachment(`${fileName}.md`);
+      res.type('text/markdown').send(questionListMarkdown(list, items));
+      return;
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.json({
+      name: list.name,
+      description: list.description,
+      exportedAt: new Date().toISOString(),
+      progress: list.progress,
+      questions: items.map(item => ({
+        id: item.questionId,
+        slug: item.slug,
+        name: item.name,
+        difficulty: item.difficulty,
+        completed: item.completed,
+        note: item.note
+      }))
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const data = rows.map((r) => ({
-      id: r.id,
-      name: r.name,
-      description: r.description,
-      input: r.input,
-      expectedOutput: r.expectedOutput,
-      difficulty: r.difficulty || 'easy',
-      bookmarked: !!r.bookmarked,
-      completed: !!r.completed
-    }));
+// Question of the Day
+app.get('/api/qodt/today', authenticate, async (req, res) => {
+  const userId = req.session.userId;
+
+  try {
+    const pick = await dailyQuestions.forUser(userId);
+    if (!pick) {
+      return res.status(404).json({ message: 'No questions available yet' });
+    }
+
+    const [row] = await query(
+      `SELECT ${QUESTION_LIST_COLUMNS}
+      FROM questions q
+      LEFT JOIN question_status qs
+        ON q.qid = qs.question_id AND qs.user_id = ?
+      WHERE q.qid = ?`,
+      [userId, pick.questionId]
+    );
+    if (!row) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
 
-    res.json(data);
+    const tagsById = await loadQuestionTags([row.id]);
+    res.json({
+      day: pick.day,
+      strategy: dailyQuestions.strategy,
+      question: formatQuestionRow(row, tagsById),
+      solved: !!pick.solvedAt,
+      solvedAt: pick.solvedAt,
+      streak: await dailyQuestions.getStreak(userId)
+    });
   } catch (err) {
     console.error('Database error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/session/question', authenticate, (req, res) => {
-  const { questionId } = req.body;
-  if (!questionId) return res.status(400).json({ message: 'Missing questionId' });
+app.get('/api/qodt/history', authenticate, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 365);
 
-  req.session.selectedQuestionId = questionId;
-  req.session.save(err => {
-    if (err) return res.status(500).json({ message: 'Failed to save questionId' });
-    res.json({ success: true, questionId });
-  });
+  try {
+    res.json(await dailyQuestions.history(req.session.userId, limit));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-app.get('/api/session/question', authenticate, (req, res) => {
-  res.json({ questionId: req.session.selectedQuestionId || null });
+// Review Routes
+app.get('/api/review/due', authenticate, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    res.json(await reviewQueue.listDue(req.session.userId, { limit }));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-app.post('/api/qodt-questions/update-status', authenticate, async (req, res) => {
-  const userId = req.session.userId;
-  const { questionId, bookmarked, completed } = req.body;
+// Body: { grade } from 0 (forgot) to 5 (perfect recall)
+app.post('/api/review/:qid/grade', authenticate, async (req, res) => {
+  const questionId = parseInt(req.params.qid);
+  const grade = req.body.grade;
 
   if (!questionId) {
-    return res.status(400).json({ message: 'questionId is required' });
+    return res.status(400).json({ message: 'Question ID is required' });
+  }
+  const problem = validateGrade(grade);
+  if (problem) {
+    return res.status(400).json({ message: problem });
   }
 
   try {
-    await query(
-      `INSERT INTO question_status (user_id, question_id, bookmarked, completed)
-       VALUES (?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE
-         bookmarked = VALUES(bookmarked),
-         completed = VALUES(completed)`,
-      [userId, questionId, bookmarked ? 1 : 0, completed ? 1 : 0]
-    );
+    const card = await reviewQueue.grade(req.session.userId, questionId, grade);
+    if (!card) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json(card);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ message: 'Status updated successfully' });
+// Admin Question Routes
+app.get('/api/admin/questions', requireAdmin, async (req, res) => {
+  try {
+    res.json(await questionStore.listQuestions());
   } catch (err) {
     console.error('Database error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/qodt-questions/:qid', authenticate, async (req, res) => {
-  const qid = req.params.qid;
-  const userId = req.session.userId;
-  
-  if (!qid) {
-    return res.status(400).json({ message: 'Question ID is required' });
+// Question package export: ?format=yaml|json&ids=1,2 (see questions/PACKAGE_FORMAT.md)
+app.get('/api/admin/questions/export', requireAdmin, async (req, res) => {
+  const format = req.query.format || 'yaml';
+  if (!['yaml', 'json'].includes(format)) {
+    return res.status(400).json({ message: 'format must be yaml or json' });
   }
+  const ids = req.query.ids ? String(req.query.ids).split(',').map(id => parseInt(id)).filter(Boolean) : null;
 
   try {
-    const [row] = await query(
-      `SELECT
-        q.qid AS id,
-        q.qname AS name,
-        q.qdescription AS description,
-        q.sample_input AS input,
-        q.sample_output AS expectedOutput,
-        q.difficulty,
-        qs.bookmarked,
-        qs.completed
-      FROM questions q
-      LEFT JOIN question_status qs
-        ON q.qid = qs.question_id AND qs.user_id = ?
-      WHERE q.qid = ?`,
-      [userId, qid]
+    const text = serializePackage(await questionStore.exportQuestions(ids), format);
+    res.type(format === 'json' ? 'application/json' : 'application/yaml');
+    res.attachment(`questions.${format === 'json' ? 'json' : 'yaml'}`);
+    res.send(text);
+  } catch (err) {
+    if (err.code === 'yaml_unavailable') {
+      return res.status(500).json({ message: err.message });
+    }
+    console.error('Export error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Question package import: JSON body or YAML text, ?dryRun=true for a diff report only
+app.post('/api/admin/questions/import', requireAdmin, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  let pkg;
+  try {
+    pkg = typeof req.body === 'string' ? parsePackage(req.body, 'yaml') : req.body;
+  } catch (err) {
+    return res.status(err.status || 400).json({ message: err.message });
+  }
+  const { questions, errors } = validatePackage(pkg);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Invalid question package', errors });
+  }
+
+  try {
+    const report = await questionStore.importQuestions(questions, {
+      dryRun,
+      editorId: req.session.userId,
+      note: 'Imported from package'
+    });
+    if (!dryRun) {
+      console.log(`Question import by user ${req.session.userId}: ${report.created.length} new, ${report.updated.length} changed`);
+    }
+    res.json(report);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'Import conflicts with an existing slug' });
+    }
+    console.error('Import error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/questions/:qid', requireAdmin, async (req, res) => {
+  try {
+    const question = await questionStore.getQuestion(parseInt(req.params.qid));
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json(question);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { name, description, sampleInput?, sampleOutput?, difficulty, slug?, tags?, tests?, reference?, note? }
+app.post('/api/admin/questions', requireAdmin, async (req, res) => {
+  const fields = req.body || {};
+  const problem = validateQuestion(fields) || validateNote(fields.note);
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const id = await questionStore.createQuestion(fields, { editorId: req.session.userId, note: fields.note || 'Created' });
+    console.log(`Question ${id} created by user ${req.session.userId}`);
+    res.status(201).json({ id, version: 1 });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'Another question already uses this slug' });
+    }
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Partial update; "tests" replaces the whole test set. Every change is a new version.
+app.patch('/api/admin/questions/:qid', requireAdmin, async (req, res) => {
+  const fields = req.body || {};
+  const problem = validateQuestion(fields, { partial: true }) || validateNote(fields.note);
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const result = await questionStore.updateQuestion(parseInt(req.params.qid), fields, { editorId: req.session.userId, note: fields.note || null });
+    if (!result) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'Another question already uses this slug' });
+    }
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refuses questions users have solved unless ?force=true
+app.delete('/api/admin/questions/:qid', requireAdmin, async (req, res) => {
+  const questionId = parseInt(req.params.qid);
+
+  try {
+    const [solved] = await query(
+      'SELECT COUNT(*) AS count FROM question_status WHERE question_id = ? AND completed = 1',
+      [questionId]
     );
+    if (solved.count > 0 && req.query.force !== 'true') {
+      return res.status(409).json({ message: `${solved.count} user(s) have solved this question; pass force=true to delete it anyway` });
+    }
 
-    if (!row) {
+    const deleted = await questionStore.deleteQuestion(questionId);
+    if (!deleted) {
       return res.status(404).json({ message: 'Question not found' });
     }
+    console.log(`Question ${questionId} deleted by user ${req.session.userId}`);
+    res.json({ message: 'Question deleted' });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({
-      id: row.id,
-      name: row.name,
-      description: row.description,
-      input: row.input,
-      expectedOutput: row.expectedOutput,
-      difficulty: row.difficulty || 'easy',
-      bookmarked: !!row.bookmarked,
-      completed: !!row.completed
-    });
+app.post('/api/admin/questions/:qid/tests', requireAdmin, async (req, res) => {
+  const test = req.body || {};
+  const problem = validateTest(test) || validateNote(test.note);
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const result = await questionStore.addTest(parseInt(req.params.qid), test, { editorId: req.session.userId, note: test.note || 'Added a test' });
+    if (!result) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.patch('/api/admin/questions/:qid/tests/:testId', requireAdmin, async (req, res) => {
+  const changes = {};
+  ['input', 'expectedOutput', 'hidden', 'timeLimitMs'].forEach(key => {
+    if (req.body[key] !== undefined) changes[key] = req.body[key];
+  });
+  const problem = validateTest({ input: '', expectedOutput: '', ...changes }) || validateNote(req.body.note);
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    const result = await questionStore.updateTest(
+      parseInt(req.params.qid),
+      parseInt(req.params.testId),
+      changes,
+      { editorId: req.session.userId, note: req.body.note || 'Edited a test' }
+    );
+    if (!result) {
+      return res.status(404).json({ message: 'Test not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/questions/:qid/tests/:testId', requireAdmin, async (req, res) => {
+  try {
+    const result = await questionStore.deleteTest(
+      parseInt(req.params.qid),
+      parseInt(req.params.testId),
+      { editorId: req.session.userId, note: 'Deleted a test' }
+    );
+    if (!result) {
+      return res.status(404).json({ message: 'Test not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/questions/:qid/versions', requireAdmin, async (req, res) => {
+  try {
+    res.json(await questionStore.listVersions(parseInt(req.params.qid)));
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/questions/:qid/versions/:version', requireAdmin, async (req, res) => {
+  try {
+    const version = await questionStore.getVersion(parseInt(req.params.qid), parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    res.json(version);
   } catch (err) {
     console.error('Database error:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Run a reference solution against the sample and every test, hidden ones
+// included, and show all outputs
+async function previewQuestion(res, question, reference) {
+  if (!reference || typeof reference.language !== 'string' || typeof reference.code !== 'string') {
+    return res.status(400).json({ message: 'A reference solution { language, code } is required' });
+  }
+  const tests = judgeTestsFor(question, { revealHidden: true });
+  if (tests.length === 0) {
+    return res.status(400).json({ message: 'Add a sample output or at least one test first' });
+  }
+
+  try {
+    const result = await judgeSubmission({ language: reference.language, code: reference.code, tests });
+    res.json({ ...result, ready: result.verdict === 'AC' });
+  } catch (err) {
+    if (sendRunnerError(res, err)) return;
+    throw err;
+  }
+}
+
+// Preview an unsaved question: { sampleInput?, sampleOutput?, tests?, reference }
+app.post('/api/admin/questions/preview', requireAdmin, async (req, res) => {
+  const draft = req.body || {};
+  const problem = validateQuestion(draft, { partial: true });
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+
+  try {
+    await previewQuestion(res, draft, draft.reference);
+  } catch (err) {
+    console.error('Preview error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview a stored question with its saved reference, or { reference } from the body
+app.post('/api/admin/questions/:qid/preview', requireAdmin, async (req, res) => {
+  const reference = req.body && req.body.reference;
+  if (reference !== undefined) {
+    const problem = validateQuestion({ reference }, { partial: true });
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+  }
+
+  try {
+    const question = await questionStore.getQuestion(parseInt(req.params.qid));
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+    await previewQuestion(res, question, reference || question.reference);
+  } catch (err) {
+    console.error('Preview error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // User Profile Routes
 app.get('/api/user/:id', authenticate, async (req, res) => {
   const userId = req.params.id;
@@ -1029,6 +2904,56 @@ app.put('/api/user/:id', authenticate, async (req, res) => {
   }
 });
 
+// Preferences: default contest reminder offsets (minutes before the start)
+app.get('/api/user/:id/preferences', authenticate, async (req, res) => {
+  const userId = req.params.id;
+
+  if (parseInt(userId) !== req.session.userId) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+
+  try {
+    const offsets = await loadReminderOffsets(userId);
+    res.json({
+      reminder_offsets: offsets,
+      reminder_offset_labels: offsets.map(formatReminderOffset)
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { reminder_offsets: ["1d", "1h", 10] }
+app.put('/api/user/:id/preferences', authenticate, async (req, res) => {
+  const userId = req.params.id;
+
+  if (parseInt(userId) !== req.session.userId) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+
+  const parsed = parseReminderOffsets(req.body.reminder_offsets);
+  if (parsed.error) {
+    return res.status(400).json({ message: parsed.error });
+  }
+
+  try {
+    await query(
+      `INSERT INTO user_preferences (user_id, reminder_offsets) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE reminder_offsets = VALUES(reminder_offsets)`,
+      [req.session.userId, JSON.stringify(parsed.offsets)]
+    );
+    res.json({
+      message: 'Preferences updated successfully',
+      reminder_offsets: parsed.offsets,
+      reminder_offset_labels: parsed.offsets.map(formatReminderOffset)
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 app.post('/api/user/:id/change-password', authenticate, async (req, res) => {
   const userId = req.params.id;
   
@@ -1113,16 +3038,83 @@ app.get('/api/user/:id/profile-data', authenticate, async (req, res) => {
     const totalSolved = solvedMap.easy + solvedMap.medium + solvedMap.hard;
     const totalAvailable = difficultyMap.easy + difficultyMap.medium + difficultyMap.hard;
 
+    // Hint ladder usage recorded by the LLM server (port 8000)
+    const [hintUsage] = await query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(DISTINCT question_id) AS questions,
+        COALESCE(SUM(level = 'nudge'), 0) AS nudge,
+        COALESCE(SUM(level = 'approach'), 0) AS approach,
+        COALESCE(SUM(level = 'pseudocode'), 0) AS pseudocode,
+        COALESCE(SUM(level = 'solution'), 0) AS solution
+      FROM question_hints
+      WHERE user_id = ?
+    `, [userId]);
+
+    // Saved solution attempts: versions needed before the first self-reported solve, and languages used
+    const [attemptUsage] = await query(`
+      SELECT COUNT(*) AS total, COUNT(DISTINCT question_id) AS questions
+      FROM solution_attempts
+      WHERE user_id = ?
+    `, [userId]);
+
+    const [attemptsToSolve] = await query(`
+      SELECT AVG(first_solved) AS average, COUNT(*) AS solved_questions
+      FROM (
+        SELECT question_id, MIN(version) AS first_solved
+        FROM solution_attempts
+        WHERE user_id = ? AND outcome = 'solved'
+        GROUP BY question_id
+      ) solved
+    `, [userId]);
+
+    const languageRows = await query(`
+      SELECT language, COUNT(*) AS attempts, COUNT(DISTINCT question_id) AS questions
+      FROM solution_attempts
+      WHERE user_id = ?
+      GROUP BY language
+      ORDER BY attempts DESC
+    `, [userId]);
+
+    // Question of the Day solves, tracked apart from the login streak
+    const dailyStreak = await dailyQuestions.getStreak(userId);
+
     res.json({
       full_name: user.full_name,
       login_streak: user.login_streak,
       longest_login_streak: user.longest_login_streak,
+      daily_streak: dailyStreak.current,
+      longest_daily_streak: dailyStreak.longest,
       avg_time: avgTimeStr,
       solved: solvedMap,
       totals: difficultyMap,
       total_solved: totalSolved,
       avatar_url: user.avatar_url,
-      total_questions: totalAvailable
+      total_questions: totalAvailable,
+      hints: {
+        total: Number(hintUsage.total),
+        questions_with_hints: Number(hintUsage.questions),
+        by_level: {
+          nudge: Number(hintUsage.nudge),
+          approach: Number(hintUsage.approach),
+          pseudocode: Number(hintUsage.pseudocode),
+          solution: Number(hintUsage.solution)
+        }
+      },
+      attempts: {
+        total: Number(attemptUsage.total),
+        questions_attempted: Number(attemptUsage.questions),
+        questions_solved: Number(attemptsToSolve.solved_questions),
+        avg_attempts_to_solve: attemptsToSolve.average == null
+          ? null
+          : Math.round(Number(attemptsToSolve.average) * 10) / 10,
+        languages: languageRows.map(r => ({
+          language: r.language,
+          attempts: Number(r.attempts),
+          questions: Number(r.questions),
+          share: attemptUsage.total ? Math.round(Number(r.attempts) / Number(attemptUsage.total) * 100) : 0
+        }))
+      }
     });
   } catch (err) {
     console.error('Database error:', err);
@@ -1181,14 +3173,26 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`📍 Server URL: http://localhost:${PORT}`);
   updateContestsFromAPI();
+  ensureJudgeTables();
+  ensureAttemptsTable();
+  ensureHintsTable();
+  ensureNotesTables();
+  ensureReminderTables();
+  ensureQuestionTables();
+  ensureDailyTables();
+  ensureReviewTables();
 });
 
 // Attach code runner WebSocket
 const attachRunner = require('./runner/exec');
 attachRunner(server, {
-  authCheck: (req) => {
-    return true;
-  }
+  // Only logged-in users may execute code: load the express session from the
+  // upgrade request's cookie and hand the user id to the runner
+  authCheck: (req) => new Promise((resolve) => {
+    sessionMiddleware(req, {}, () => {
+      resolve(req.session && req.session.userId ? req.session.userId : null);
+    });
+  })
 });
 
 // Graceful shutdown
@@ -0,0 +1,85 @@
+// Socratic hint ladder for practice questions.
+//
+// Levels go nudge -> approach -> pseudocode -> solution. Every delivered hint
+// is stored in question_hints, and the full solution stays locked until the
+// user has taken `hintsBeforeSolution` lower hints on that question or has
+// marked it completed.
+//
+//   const hints = createHintTracker({ pool, hintsBeforeSolution: 3 });
+//   const status = await hints.getStatus(userId, question);
+//   if (level === 'solution' && !status.solutionUnlocked) ...
+//   await hints.recordHint(userId, question.id, level);
+
+const HINT_LEVELS = ['nudge', 'approach', 'pseudocode', 'solution'];
+
+// Appended to the system prompt for the requested level
+const HINT_INSTRUCTIONS = {
+  nudge: `Tutoring mode, level 1 of 4 (nudge). Reply with one short Socratic nudge: a guiding question or a single observation about the problem. Do not name the algorithm, do not describe the full approach and do not write any code or pseudocode.`,
+  approach: `Tutoring mode, level 2 of 4 (approach). Explain the key insight and which technique or data structure fits, in a few sentences. Do not write code or pseudocode, and leave the details for the user to work out.`,
+  pseudocode: `Tutoring mode, level 3 of 4 (pseudocode). Give a short language-neutral pseudocode outline of the approach plus its time and space complexity. Do not write code in a real programming language.`,
+  solution: `Tutoring mode, level 4 of 4 (full solution). Give a complete, working solution with a step-by-step explanation and its time and space complexity.`
+};
+
+function createHintTracker({ pool, hintsBeforeSolution = 3 }) {
+  async function ensureTable() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS question_hints (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        level ENUM('nudge', 'approach', 'pseudocode', 'solution') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_question_hints_user (user_id, question_id)
+      )
+    `);
+  }
+
+  // question is { id, completed } as loaded by the gateway
+  async function getStatus(userId, question) {
+    const [rows] = await pool.execute(
+      `SELECT level, COUNT(*) AS count
+       FROM question_hints
+       WHERE user_id = ? AND question_id = ?
+       GROUP BY level`,
+      [userId, question.id]
+    );
+
+    const byLevel = { nudge: 0, approach: 0, pseudocode: 0, solution: 0 };
+    rows.forEach(r => { byLevel[r.level] = Number(r.count); });
+    const used = byLevel.nudge + byLevel.approach + byLevel.pseudocode;
+    const solutionUnlocked = !!question.completed || used >= hintsBeforeSolution;
+
+    // Suggest the lowest level not taken yet
+    const nextLevel = HINT_LEVELS.find(level => level !== 'solution' && byLevel[level] === 0)
+      || (solutionUnlocked ? 'solution' : 'pseudocode');
+
+    return {
+      used,
+      byLevel,
+      required: hintsBeforeSolution,
+      remainingBeforeSolution: Math.max(0, hintsBeforeSolution - used),
+      solutionUnlocked,
+      nextLevel
+    };
+  }
+
+  async function recordHint(userId, questionId, level) {
+    await pool.execute(
+      'INSERT INTO question_hints (user_id, question_id, level) VALUES (?, ?, ?)',
+      [userId, questionId, level]
+    );
+  }
+
+  return {
+    ensureTable,
+    getStatus,
+    recordHint,
+    hintsBeforeSolution
+  };
+}
+
+module.exports = {
+  HINT_LEVELS,
+  HINT_INSTRUCTIONS,
+  createHintTracker
+};
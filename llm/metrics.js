@@ -0,0 +1,115 @@
+// Minimal Prometheus text-format registry for the LLM gateway.
+//
+//   const registry = createRegistry();
+//   const requests = registry.counter('llm_requests_total', 'Requests', ['model', 'status']);
+//   requests.inc({ model: 'codellama', status: 'ok' });
+//   app.get('/metrics', (req, res) => res.type('text/plain').send(registry.render()));
+//
+// Supports counters, gauges (set or computed on scrape) and histograms.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  const labels = {};
+  labelNames.forEach((name, i) => { labels[name] = values[i]; });
+  return labels;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const [key, value] of values) {
+          lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      }
+    };
+  }
+
+  // collect() is called on every scrape when provided, for values owned elsewhere
+  function gauge(name, help, collect = null) {
+    let value = 0;
+    metrics.push({
+      render() {
+        const current = collect ? collect() : value;
+        return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${current}`];
+      }
+    });
+    return {
+      set(next) { value = next; },
+      inc(amount = 1) { value += amount; },
+      dec(amount = 1) { value -= amount; }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const [key, data] of series) {
+          const labels = labelsFromKey(labelNames, key);
+          buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${data.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${data.sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${data.count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels, value) {
+        if (!Number.isFinite(value)) return;
+        const key = labelKey(labelNames, labels);
+        let data = series.get(key);
+        if (!data) {
+          data = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, data);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) data.counts[i]++;
+        });
+        data.sum += value;
+        data.count++;
+      }
+    };
+  }
+
+  function render() {
+    return metrics.map(m => m.render().join('\n')).join('\n\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  createRegistry
+};
@@ -0,0 +1,201 @@
+// Topic moderation for the /ws/llm gateway.
+//
+// Replaces the old keyword lists in isCodeRelated() with a pipeline:
+//   1. greeting check - "hi", "thanks" etc. are always let through
+//   2. heuristic classifier - weighted coding/off-topic terms plus structural
+//      signals (code fences, symbols, O(n) notation) give a score
+//   3. optional LLM judge - asks the provider to classify prompts the
+//      heuristic is unsure about ("hybrid") or every prompt ("llm")
+//
+// Weights, thresholds and mode live in a JSON policy file (MODERATION_POLICY,
+// default llm/moderation-policy.json) that is re-read whenever it changes, so
+// admins can tune the filter without touching code.
+//
+// check() resolves to { allowed, stage, score, reason, matched }.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'moderation-policy.json');
+
+const JUDGE_SYSTEM_PROMPT = `You are a strict topic classifier for a programming tutor.
+Reply with exactly one word.
+Reply ALLOW if the user's message is about programming, software development, computer science, data structures, algorithms, coding interviews or competitive programming (follow-up questions about such topics count).
+Reply BLOCK for anything else.`;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word-boundary matcher that also copes with terms such as "c++" and "c#"
+function termPattern(term) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(term.toLowerCase())}(?=$|[^a-z0-9+#])`, 'i');
+}
+
+function createModerator({ provider, policyPath = DEFAULT_POLICY_PATH, logger = console } = {}) {
+  let policy = null;
+  let policyMtime = 0;
+  let compiled = null;
+
+  function loadPolicy() {
+    try {
+      const { mtimeMs } = fs.statSync(policyPath);
+      if (policy && mtimeMs === policyMtime) {
+        return policy;
+      }
+
+      const next = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+      policy = next;
+      policyMtime = mtimeMs;
+      compiled = {
+        coding: Object.entries(next.codingTerms || {}).map(([term, weight]) => ({ term, weight, re: termPattern(term) })),
+        offTopic: Object.entries(next.offTopicTerms || {}).map(([term, weight]) => ({ term, weight, re: termPattern(term) })),
+        greetings: (next.greetings || []).map(g => g.toLowerCase())
+      };
+      logger.log(`[MODERATION] Policy loaded from ${policyPath} (mode: ${next.mode})`);
+    } catch (error) {
+      if (!policy) {
+        throw new Error(`Could not load moderation policy: ${error.message}`);
+      }
+      logger.error(`[MODERATION ERROR] Keeping previous policy: ${error.message}`);
+    }
+    return policy;
+  }
+
+  function isGreeting(prompt) {
+    const normalized = prompt.toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+    return compiled.greetings.includes(normalized);
+  }
+
+  function scoreHeuristic(prompt) {
+    const weights = policy.structureWeights || {};
+    const matched = { coding: [], offTopic: [], structure: [] };
+    let score = 0;
+
+    if (/```/.test(prompt)) {
+      score += weights.codeFence || 0;
+      matched.structure.push('codeFence');
+    } else if (/`[^`]+`/.test(prompt)) {
+      score += weights.inlineCode || 0;
+      matched.structure.push('inlineCode');
+    }
+    if (/[{};]|=>|==|!=|\w+\([^)]*\)|\[\d*\]/.test(prompt)) {
+      score += weights.codeSymbols || 0;
+      matched.structure.push('codeSymbols');
+    }
+    if (/\bO\(\s*[a-z0-9^*+ log]+\)/i.test(prompt)) {
+      score += weights.complexityNotation || 0;
+      matched.structure.push('complexityNotation');
+    }
+
+    for (const { term, weight, re } of compiled.coding) {
+      if (re.test(prompt)) {
+        score += weight;
+        matched.coding.push(term);
+      }
+    }
+    for (const { term, weight, re } of compiled.offTopic) {
+      if (re.test(prompt)) {
+        score -= weight;
+        matched.offTopic.push(term);
+      }
+    }
+
+    return { score, matched };
+  }
+
+  async function runJudge(prompt) {
+    const judge = policy.judge || {};
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), judge.timeoutMs || 8000);
+
+    try {
+      const { content } = await provider.chat({
+        messages: [
+          { role: 'system', content: JUDGE_SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ],
+        model: judge.model || undefined,
+        options: { temperature: 0, num_predict: 5 },
+        signal: controller.signal
+      }, () => {});
+
+      const answer = content.trim().toUpperCase();
+      if (answer.startsWith('ALLOW')) return true;
+      if (answer.startsWith('BLOCK')) return false;
+      throw new Error(`Unexpected judge answer "${content.trim().substring(0, 40)}"`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // context.hasHistory  - prompt continues an existing conversation
+  // context.hasQuestion - chat is tied to a practice problem, so "why does
+  //                       this fail?" style prompts are on topic
+  async function check(prompt, context = {}) {
+    loadPolicy();
+
+    if (isGreeting(prompt)) {
+      return { allowed: true, stage: 'greeting', score: null, reason: 'greeting', matched: null };
+    }
+
+    const { score, matched } = scoreHeuristic(prompt);
+    const describe = () => {
+      const parts = [`score ${score}`];
+      if (matched.coding.length) parts.push(`coding: ${matched.coding.join(', ')}`);
+      if (matched.offTopic.length) parts.push(`off-topic: ${matched.offTopic.join(', ')}`);
+      if (matched.structure.length) parts.push(`structure: ${matched.structure.join(', ')}`);
+      return parts.join('; ');
+    };
+
+    const mode = policy.mode || 'heuristic';
+    const uncertain = score < policy.allowThreshold && score > policy.blockThreshold;
+
+    if (mode !== 'llm') {
+      if (score >= policy.allowThreshold) {
+        return { allowed: true, stage: 'heuristic', score, reason: describe(), matched };
+      }
+      if (uncertain && context.hasHistory && policy.followUpsAllowed) {
+        return { allowed: true, stage: 'heuristic', score, reason: `follow-up; ${describe()}`, matched };
+      }
+      if (uncertain && context.hasQuestion) {
+        return { allowed: true, stage: 'heuristic', score, reason: `about selected question; ${describe()}`, matched };
+      }
+      if (!uncertain || mode !== 'hybrid') {
+        return { allowed: false, stage: 'heuristic', score, reason: `below threshold ${policy.allowThreshold}; ${describe()}`, matched };
+      }
+    }
+
+    try {
+      const allowed = await runJudge(prompt);
+      return {
+        allowed,
+        stage: 'llm-judge',
+        score,
+        reason: `judge answered ${allowed ? 'ALLOW' : 'BLOCK'}; ${describe()}`,
+        matched
+      };
+    } catch (error) {
+      const failOpen = policy.judge && policy.judge.failOpen;
+      logger.error(`[MODERATION ERROR] Judge failed: ${error.message}`);
+      return {
+        allowed: !!failOpen,
+        stage: 'llm-judge',
+        score,
+        reason: `judge unavailable (${error.message}), fail-${failOpen ? 'open' : 'closed'}; ${describe()}`,
+        matched
+      };
+    }
+  }
+
+  loadPolicy();
+
+  return {
+    check,
+    getPolicy: loadPolicy
+  };
+}
+
+module.exports = {
+  createModerator
+};
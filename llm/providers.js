@@ -0,0 +1,335 @@
+// LLM provider abstraction shared by the /ws/llm gateways.
+//
+// Every provider exposes the same shape:
+//   name, model, baseUrl
+//   listModels()                                   -> Promise<string[]>
+//   chat({ messages, model, options, signal }, onToken)
+//                                                  -> Promise<{ content, raw, usage }>
+//   embed(texts, { model, signal })                -> Promise<number[][]>
+// `messages` uses Ollama/OpenAI chat roles (system/user/assistant), `onToken` is
+// called for every streamed piece of text, and `raw` is the provider's final
+// chunk. `usage` normalises token counts and timings from `raw`:
+//   { promptTokens, completionTokens, evalDurationMs, totalDurationMs }
+// (fields the backend does not report are null).
+//
+// Embeddings use `embeddingModel` (EMBEDDING_MODEL) unless a model is passed.
+//
+// Select one per deployment with LLM_PROVIDER=ollama|openai|mock.
+
+// Read a streamed fetch body line by line (NDJSON and SSE are both line based)
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || "";
+
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+      if (onLine(line.trim()) === false) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+
+  if (buffer.trim() !== '') {
+    onLine(buffer.trim());
+  }
+}
+
+const nsToMs = (ns) => typeof ns === 'number' ? Math.round(ns / 1e6) : null;
+const countOrNull = (n) => typeof n === 'number' ? n : null;
+
+async function checkResponse(response, label) {
+  if (!response.ok) {
+    throw new Error(`${label} responded with status ${response.status}`);
+  }
+  if (!response.body) {
+    throw new Error(`No response body from ${label}`);
+  }
+}
+
+// ==================== OLLAMA ====================
+function createOllamaProvider({ baseUrl, model, embeddingModel }) {
+  return {
+    name: 'ollama',
+    model,
+    embeddingModel,
+    baseUrl,
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/api/tags`);
+      const data = await response.json();
+      return (data.models || []).map(m => m.name);
+    },
+
+    async chat({ messages, model: requestModel, options = {}, signal }, onToken) {
+      const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: requestModel || model,
+          messages,
+          stream: true,
+          options: { temperature: 0.7, ...options }
+        }),
+        signal
+      });
+      await checkResponse(response, 'Ollama');
+
+      let content = "";
+      let raw = null;
+      await readLines(response, (line) => {
+        let json;
+        try {
+          json = JSON.parse(line);
+        } catch (e) {
+          return; // Ignore parse errors
+        }
+        if (json.error) {
+          throw new Error(json.error);
+        }
+        const token = json.message && json.message.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+        if (json.done) {
+          raw = json;
+          return false;
+        }
+      });
+
+      const usage = {
+        promptTokens: countOrNull(raw && raw.prompt_eval_count),
+        completionTokens: countOrNull(raw && raw.eval_count),
+        evalDurationMs: nsToMs(raw && raw.eval_duration),
+        totalDurationMs: nsToMs(raw && raw.total_duration)
+      };
+      return { content, raw, usage };
+    },
+
+    async embed(texts, { model: requestModel, signal } = {}) {
+      const response = await fetch(`${baseUrl}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: requestModel || embeddingModel, input: texts }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`Ollama embeddings responded with status ${response.status}`);
+      }
+      const data = await response.json();
+      return data.embeddings || [];
+    }
+  };
+}
+
+// ==================== OPENAI-COMPATIBLE ====================
+// llama.cpp server, vLLM, LM Studio, ... anything serving /v1/chat/completions
+function createOpenAIProvider({ baseUrl, model, embeddingModel, apiKey }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    embeddingModel,
+    baseUrl,
+
+    async listModels() {
+      const response = await fetch(`${baseUrl}/v1/models`, { headers });
+      const data = await response.json();
+      return (data.data || []).map(m => m.id);
+    },
+
+    async chat({ messages, model: requestModel, options = {}, signal }, onToken) {
+      // Map the Ollama-style option names used across the gateway
+      const body = {
+        model: requestModel || model,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true },
+        temperature: options.temperature !== undefined ? options.temperature : 0.7
+      };
+      if (options.num_predict !== undefined) body.max_tokens = options.num_predict;
+      if (options.top_p !== undefined) body.top_p = options.top_p;
+      if (options.stop !== undefined) body.stop = options.stop;
+
+      const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+      await checkResponse(response, 'LLM server');
+
+      let content = "";
+      let raw = null;
+      await readLines(response, (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.substring(5).trim();
+        if (data === '[DONE]') return false;
+
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          return; // Ignore parse errors
+        }
+        const choice = json.choices && json.choices[0];
+        const token = choice && choice.delta && choice.delta.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+        if (json.usage || (choice && choice.finish_reason)) {
+          raw = { ...(raw || {}), ...json };
+        }
+      });
+
+      const reported = (raw && raw.usage) || {};
+      const usage = {
+        promptTokens: countOrNull(reported.prompt_tokens),
+        completionTokens: countOrNull(reported.completion_tokens),
+        evalDurationMs: null,
+        totalDurationMs: null
+      };
+      return { content, raw, usage };
+    },
+
+    async embed(texts, { model: requestModel, signal } = {}) {
+      const response = await fetch(`${baseUrl}/v1/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: requestModel || embeddingModel, input: texts }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`LLM server embeddings responded with status ${response.status}`);
+      }
+      const data = await response.json();
+      return (data.data || [])
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    }
+  };
+}
+
+// ==================== MOCK ====================
+// Deterministic provider for tests and offline development: echoes the last
+// user message back word by word.
+function createMockProvider({ model, embeddingModel, delayMs = 0 }) {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Hashed bag of words, so texts sharing words land close together
+  const MOCK_DIMENSIONS = 64;
+  const embedOne = (text) => {
+    const vector = new Array(MOCK_DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (let i = 0; i < word.length; i++) {
+        hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+      }
+      vector[hash % MOCK_DIMENSIONS] += 1;
+    }
+    return vector;
+  };
+
+  return {
+    name: 'mock',
+    model,
+    embeddingModel,
+    baseUrl: null,
+
+    async listModels() {
+      return [model];
+    },
+
+    async chat({ messages, signal }, onToken) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const reply = `Mock response to: ${lastUser ? lastUser.content : ''}`;
+      const tokens = reply.match(/\S+\s*/g) || [];
+
+      let content = "";
+      for (const token of tokens) {
+        if (signal && signal.aborted) {
+          const error = new Error('The operation was aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+        if (delayMs) await sleep(delayMs);
+        content += token;
+        onToken(token);
+      }
+
+      return {
+        content,
+        raw: { done: true, prompt_eval_count: 0, eval_count: tokens.length },
+        usage: {
+          promptTokens: 0,
+          completionTokens: tokens.length,
+          evalDurationMs: null,
+          totalDurationMs: null
+        }
+      };
+    },
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+const DEFAULTS = {
+  ollama: { baseUrl: 'http://localhost:11434', model: 'codellama:latest', embeddingModel: 'nomic-embed-text' },
+  openai: { baseUrl: 'http://localhost:8080', model: 'default', embeddingModel: 'default' },
+  mock: { baseUrl: null, model: 'mock', embeddingModel: 'mock-embed' }
+};
+
+function createProvider(config = {}) {
+  const name = (config.provider || 'ollama').toLowerCase();
+  const defaults = DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${name}" (expected ollama, openai or mock)`);
+  }
+
+  const settings = {
+    ...config,
+    baseUrl: (config.baseUrl || defaults.baseUrl || '').replace(/\/+$/, ''),
+    model: config.model || defaults.model,
+    embeddingModel: config.embeddingModel || defaults.embeddingModel
+  };
+
+  if (name === 'openai') return createOpenAIProvider(settings);
+  if (name === 'mock') return createMockProvider(settings);
+  return createOllamaProvider(settings);
+}
+
+// LLM_PROVIDER / LLM_BASE_URL / LLM_API_KEY, with the old OLLAMA_URL still honoured
+function createProviderFromEnv(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'ollama';
+  return createProvider({
+    provider,
+    baseUrl: env.LLM_BASE_URL || (provider === 'ollama' ? env.OLLAMA_URL : undefined),
+    model: env.MODEL_NAME,
+    embeddingModel: env.EMBEDDING_MODEL,
+    apiKey: env.LLM_API_KEY,
+    delayMs: parseInt(env.MOCK_DELAY_MS) || 0
+  });
+}
+
+module.exports = {
+  createProvider,
+  createProviderFromEnv,
+  readLines
+};
@@ -0,0 +1,123 @@
+// Bounded priority queue in front of the LLM backend.
+//
+//   const queue = createGenerationQueue({ concurrency: 2, maxQueued: 50 });
+//   const release = await queue.acquire({ owner, priority, limit, signal, onPosition });
+//   try { ...generate... } finally { release(); }
+//
+// At most `concurrency` slots run at once. Waiting entries are ordered by
+// priority (lower runs first), then arrival. `onPosition(n)` is called with the
+// entry's 1-based place in line whenever it changes. `limit` caps how many
+// entries (waiting + running) one owner may hold. acquire() rejects with
+// error.code 'queue_full' or 'owner_limit', or with an AbortError when
+// `signal` fires while waiting.
+
+function queueError(code, message) {
+  const error = new Error(message);
+  error.name = 'QueueError';
+  error.code = code;
+  return error;
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function createGenerationQueue({ concurrency = 1, maxQueued = 50 } = {}) {
+  const waiting = [];
+  const outstanding = new Map();
+  let running = 0;
+
+  function addOutstanding(owner, amount) {
+    const next = (outstanding.get(owner) || 0) + amount;
+    if (next > 0) {
+      outstanding.set(owner, next);
+    } else {
+      outstanding.delete(owner);
+    }
+  }
+
+  function notifyPositions() {
+    waiting.forEach((entry, index) => {
+      if (entry.position !== index + 1) {
+        entry.position = index + 1;
+        if (entry.onPosition) entry.onPosition(entry.position);
+      }
+    });
+  }
+
+  function makeRelease(owner) {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      running--;
+      addOutstanding(owner, -1);
+      drain();
+    };
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const entry = waiting.shift();
+      entry.cleanup();
+      running++;
+      entry.resolve(makeRelease(entry.owner));
+    }
+    notifyPositions();
+  }
+
+  function acquire({ owner, priority = 0, limit = Infinity, signal, onPosition } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+    if ((outstanding.get(owner) || 0) >= limit) {
+      return Promise.reject(queueError('owner_limit', `You already have ${limit} request${limit === 1 ? '' : 's'} in progress`));
+    }
+
+    addOutstanding(owner, 1);
+    if (running < concurrency && waiting.length === 0) {
+      running++;
+      return Promise.resolve(makeRelease(owner));
+    }
+    if (waiting.length >= maxQueued) {
+      addOutstanding(owner, -1);
+      return Promise.reject(queueError('queue_full', 'The assistant is busy right now, please try again in a moment'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { owner, priority, position: 0, onPosition, resolve };
+
+      const onAbort = () => {
+        const index = waiting.indexOf(entry);
+        if (index === -1) return;
+        waiting.splice(index, 1);
+        addOutstanding(owner, -1);
+        reject(abortError());
+        notifyPositions();
+      };
+      entry.cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      // Insert after everything with the same or better priority
+      let index = waiting.findIndex(other => other.priority > priority);
+      if (index === -1) index = waiting.length;
+      waiting.splice(index, 0, entry);
+      notifyPositions();
+    });
+  }
+
+  return {
+    acquire,
+    depth: () => waiting.length,
+    active: () => running,
+    concurrency
+  };
+}
+
+module.exports = {
+  createGenerationQueue
+};
@@ -0,0 +1,194 @@
+// Per-user / per-IP LLM quotas stored in MySQL.
+//
+// Two limits per tier:
+//   requestsPerMinute - prompts started in the current calendar minute
+//   tokensPerDay      - prompt + completion tokens used since midnight (server time)
+//
+// Usage is keyed by a subject string ("user:12" for logged-in users,
+// "ip:203.0.113.5" for guests) in the llm_quota_usage table, one row per
+// subject per window:
+//
+//   const quotas = createQuotaManager({ pool, tiers });
+//   const verdict = await quotas.consumeRequest(subject, 'guest');
+//   if (!verdict.allowed) ... verdict.code is 'rate_limited' or 'quota_exceeded'
+//   await quotas.addTokens(subject, 1234);
+//
+// If the database is unreachable requests are let through and the error is
+// logged, the same way the gateway falls back to guest mode.
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Window start as a MySQL DATETIME string in server local time
+function windowStart(kind, now = new Date()) {
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  if (kind === 'day') return `${date} 00:00:00`;
+  return `${date} ${pad(now.getHours())}:${pad(now.getMinutes())}:00`;
+}
+
+function windowReset(kind, now = new Date()) {
+  const reset = new Date(now);
+  if (kind === 'day') {
+    reset.setHours(24, 0, 0, 0);
+  } else {
+    reset.setSeconds(60, 0);
+  }
+  return reset;
+}
+
+function createQuotaManager({ pool, tiers, logger = console }) {
+  async function ensureTable() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS llm_quota_usage (
+        subject VARCHAR(64) NOT NULL,
+        window_kind ENUM('minute', 'day') NOT NULL,
+        window_start DATETIME NOT NULL,
+        requests INT NOT NULL DEFAULT 0,
+        tokens INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (subject, window_kind, window_start)
+      )
+    `);
+  }
+
+  async function bump(subject, kind, requests, tokens) {
+    await pool.execute(
+      `INSERT INTO llm_quota_usage (subject, window_kind, window_start, requests, tokens)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE requests = requests + VALUES(requests), tokens = tokens + VALUES(tokens)`,
+      [subject, kind, windowStart(kind), requests, tokens]
+    );
+  }
+
+  async function readWindow(subject, kind) {
+    const [rows] = await pool.execute(
+      'SELECT requests, tokens FROM llm_quota_usage WHERE subject = ? AND window_kind = ? AND window_start = ?',
+      [subject, kind, windowStart(kind)]
+    );
+    return rows[0] || { requests: 0, tokens: 0 };
+  }
+
+  function describe(tierName, minute, day) {
+    const tier = tiers[tierName];
+    return {
+      tier: tierName,
+      requestsPerMinute: tier.requestsPerMinute,
+      requestsRemaining: Math.max(0, tier.requestsPerMinute - minute.requests),
+      tokensPerDay: tier.tokensPerDay,
+      tokensRemaining: Math.max(0, tier.tokensPerDay - day.tokens),
+      minuteResetsAt: windowReset('minute').toISOString(),
+      dayResetsAt: windowReset('day').toISOString()
+    };
+  }
+
+  // Remaining quota without consuming anything
+  async function getStatus(subject, tierName) {
+    try {
+      const [minute, day] = await Promise.all([readWindow(subject, 'minute'), readWindow(subject, 'day')]);
+      return describe(tierName, minute, day);
+    } catch (error) {
+      logger.error("[QUOTA ERROR]", error.message);
+      return null;
+    }
+  }
+
+  // Count one request against the subject. Over-limit attempts are not counted.
+  async function consumeRequest(subject, tierName) {
+    const tier = tiers[tierName];
+    try {
+      const day = await readWindow(subject, 'day');
+      if (day.tokens >= tier.tokensPerDay) {
+        const minute = await readWindow(subject, 'minute');
+        return {
+          allowed: false,
+          code: 'quota_exceeded',
+          message: `Daily limit of ${tier.tokensPerDay} tokens reached, it resets at midnight`,
+          quota: describe(tierName, minute, day)
+        };
+      }
+
+      await bump(subject, 'minute', 1, 0);
+      const minute = await readWindow(subject, 'minute');
+      if (minute.requests > tier.requestsPerMinute) {
+        await bump(subject, 'minute', -1, 0);
+        minute.requests -= 1;
+        const retryAfterMs = windowReset('minute').getTime() - Date.now();
+        return {
+          allowed: false,
+          code: 'rate_limited',
+          message: `Too many requests, please wait ${Math.ceil(retryAfterMs / 1000)}s`,
+          retryAfterMs,
+          quota: describe(tierName, minute, day)
+        };
+      }
+
+      await bump(subject, 'day', 1, 0);
+      return { allowed: true, quota: describe(tierName, minute, day) };
+    } catch (error) {
+      logger.error("[QUOTA ERROR]", error.message);
+      return { allowed: true, quota: null };
+    }
+  }
+
+  async function addTokens(subject, tokens) {
+    if (!tokens) return;
+    try {
+      await bump(subject, 'day', 0, tokens);
+    } catch (error) {
+      logger.error("[QUOTA ERROR]", error.message);
+    }
+  }
+
+  // Admin view: today's usage per subject, optionally filtered by a prefix ("user:", "ip:")
+  async function listUsage(prefix = '') {
+    const [rows] = await pool.execute(
+      `SELECT d.subject, d.requests, d.tokens, COALESCE(m.requests, 0) AS requests_this_minute
+       FROM llm_quota_usage d
+       LEFT JOIN llm_quota_usage m
+         ON m.subject = d.subject AND m.window_kind = 'minute' AND m.window_start = ?
+       WHERE d.window_kind = 'day' AND d.window_start = ? AND d.subject LIKE ?
+       ORDER BY d.tokens DESC`,
+      [windowStart('minute'), windowStart('day'), `${prefix}%`]
+    );
+    return rows;
+  }
+
+  // Clears the current windows for a subject; old windows are pruned separately
+  async function resetUsage(subject) {
+    const [result] = await pool.execute(
+      `DELETE FROM llm_quota_usage
+       WHERE subject = ? AND ((window_kind = 'minute' AND window_start = ?) OR (window_kind = 'day' AND window_start = ?))`,
+      [subject, windowStart('minute'), windowStart('day')]
+    );
+    return result.affectedRows;
+  }
+
+  // Minute rows are only useful for a minute, day rows are kept for a month
+  async function pruneUsage() {
+    try {
+      await pool.execute(
+        `DELETE FROM llm_quota_usage
+         WHERE (window_kind = 'minute' AND window_start < NOW() - INTERVAL 1 HOUR)
+            OR (window_kind = 'day' AND window_start < NOW() - INTERVAL 30 DAY)`
+      );
+    } catch (error) {
+      logger.error("[QUOTA ERROR]", error.message);
+    }
+  }
+
+  return {
+    ensureTable,
+    getStatus,
+    consumeRequest,
+    addTokens,
+    listUsage,
+    resetUsage,
+    pruneUsage,
+    tiers
+  };
+}
+
+module.exports = {
+  createQuotaManager
+};
@@ -0,0 +1,305 @@
+// Retrieval over the question bank and admin-written knowledge docs.
+//
+// Sources:
+//   questions       - every row becomes one chunk (name, description, samples)
+//   knowledge_docs  - editorials (tied to a question) and topic notes, split
+//                     into paragraph chunks
+//
+// Chunks are embedded with the provider's embedding model and ranked by
+// cosine similarity. Vectors are cached in knowledge_embeddings keyed by a
+// content hash, so a restart only embeds what changed. If the provider cannot
+// embed (no model pulled, backend down) search falls back to BM25 over the
+// same chunks.
+//
+//   const retriever = createRetriever({ pool, provider });
+//   await retriever.ensureTables();
+//   await retriever.refresh();
+//   const hits = await retriever.search('two pointers on sorted array', { limit: 4 });
+
+const crypto = require('crypto');
+
+const CHUNK_MAX_CHARS = 1200;
+const EMBED_BATCH_SIZE = 16;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+  'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'which', 'why',
+  'will', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// Okapi BM25 over pre-tokenized documents
+function createBm25Index(documents, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = documents.map(text => {
+    const terms = tokenize(text);
+    const tf = new Map();
+    terms.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+    return { tf, length: terms.length };
+  });
+  const df = new Map();
+  docs.forEach(doc => doc.tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  function score(query) {
+    const terms = [...new Set(tokenize(query))];
+    return docs.map(doc => {
+      let total = 0;
+      for (const term of terms) {
+        const freq = doc.tf.get(term);
+        if (!freq) continue;
+        const n = df.get(term);
+        const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+        total += idf * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+      }
+      return total;
+    });
+  }
+
+  return { score };
+}
+
+// Paragraph-based chunks of at most maxChars (long paragraphs are hard split)
+function chunkText(text, maxChars = CHUNK_MAX_CHARS) {
+  const chunks = [];
+  let current = '';
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    if (paragraph.length > maxChars) {
+      for (let i = 0; i < paragraph.length; i += maxChars) {
+        chunks.push(paragraph.substring(i, i + maxChars));
+      }
+    } else {
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function createRetriever({ pool, provider, minSimilarity = 0.3, logger = console }) {
+  let chunks = [];
+  let bm25 = createBm25Index([]);
+  let mode = 'bm25';
+  let lastRefresh = null;
+  let refreshing = null;
+
+  async function ensureTables() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS knowledge_docs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        kind ENUM('editorial', 'note') NOT NULL,
+        question_id INT NULL,
+        topic VARCHAR(100) NULL,
+        title VARCHAR(255) NOT NULL,
+        body MEDIUMTEXT NOT NULL,
+        author_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_knowledge_docs_question (question_id)
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS knowledge_embeddings (
+        chunk_key VARCHAR(64) NOT NULL,
+        model VARCHAR(128) NOT NULL,
+        content_hash CHAR(40) NOT NULL,
+        vector MEDIUMTEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (chunk_key, model)
+      )
+    `);
+  }
+
+  async function loadChunks() {
+    const [questions] = await pool.execute(
+      `SELECT qid, qname, qdescription, sample_input, sample_output, difficulty FROM questions`
+    );
+    const [docs] = await pool.execute(
+      `SELECT d.id, d.kind, d.question_id, d.topic, d.title, d.body, q.qname
+       FROM knowledge_docs d
+       LEFT JOIN questions q ON q.qid = d.question_id`
+    );
+
+    const next = questions.map(q => ({
+      key: `question:${q.qid}`,
+      kind: 'question',
+      questionId: q.qid,
+      docId: null,
+      title: q.qname,
+      text: [
+        `${q.qname} (${q.difficulty || 'easy'})`,
+        q.qdescription || '',
+        q.sample_input ? `Sample input:\n${q.sample_input}` : '',
+        q.sample_output ? `Sample output:\n${q.sample_output}` : ''
+      ].filter(Boolean).join('\n\n')
+    }));
+
+    for (const doc of docs) {
+      const heading = doc.kind === 'editorial' && doc.qname
+        ? `Editorial for ${doc.qname}: ${doc.title}`
+        : doc.topic ? `${doc.topic} notes: ${doc.title}` : doc.title;
+      chunkText(doc.body).forEach((text, i) => {
+        next.push({
+          key: `doc:${doc.id}:${i}`,
+          kind: doc.kind,
+          questionId: doc.question_id,
+          docId: doc.id,
+          title: doc.title,
+          text: `${heading}\n\n${text}`
+        });
+      });
+    }
+
+    next.forEach(chunk => { chunk.hash = hashText(chunk.text); });
+    return next;
+  }
+
+  // Reuse cached vectors and embed only new or edited chunks
+  async function embedChunks(next) {
+    const model = provider.embeddingModel;
+    const [rows] = await pool.execute(
+      'SELECT chunk_key, content_hash, vector FROM knowledge_embeddings WHERE model = ?',
+      [model]
+    );
+    const cached = new Map(rows.map(r => [r.chunk_key, r]));
+
+    const missing = [];
+    for (const chunk of next) {
+      const hit = cached.get(chunk.key);
+      if (hit && hit.content_hash === chunk.hash) {
+        chunk.vector = JSON.parse(hit.vector);
+      } else {
+        missing.push(chunk);
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+      const vectors = await provider.embed(batch.map(c => c.text));
+      if (vectors.length !== batch.length) {
+        throw new Error(`Expected ${batch.length} embeddings, got ${vectors.length}`);
+      }
+      for (let j = 0; j < batch.length; j++) {
+        batch[j].vector = vectors[j];
+        await pool.execute(
+          `INSERT INTO knowledge_embeddings (chunk_key, model, content_hash, vector)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE content_hash = VALUES(content_hash), vector = VALUES(vector)`,
+          [batch[j].key, model, batch[j].hash, JSON.stringify(vectors[j])]
+        );
+      }
+    }
+
+    return missing.length;
+  }
+
+  async function doRefresh() {
+    const next = await loadChunks();
+    const nextBm25 = createBm25Index(next.map(c => c.text));
+
+    let nextMode = 'bm25';
+    if (typeof provider.embed === 'function') {
+      try {
+        const embedded = await embedChunks(next);
+        nextMode = 'embedding';
+        if (embedded > 0) {
+          logger.log(`[RAG] Embedded ${embedded} new chunk(s) with ${provider.embeddingModel}`);
+        }
+      } catch (error) {
+        logger.error(`[RAG ERROR] Embeddings unavailable, using BM25: ${error.message}`);
+      }
+    }
+
+    chunks = next;
+    bm25 = nextBm25;
+    mode = nextMode;
+    lastRefresh = new Date();
+    logger.log(`[RAG] Indexed ${chunks.length} chunk(s) (${mode})`);
+  }
+
+  // Concurrent callers share one rebuild
+  function refresh() {
+    if (!refreshing) {
+      refreshing = doRefresh().finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  // options.excludeKeys - chunk keys already in the prompt (e.g. the linked question)
+  // options.exclude     - predicate for chunks the caller may not see (e.g. locked editorials)
+  async function search(query, { limit = 4, excludeKeys = [], exclude = null } = {}) {
+    if (chunks.length === 0) return [];
+    const excluded = new Set(excludeKeys);
+
+    let scored = null;
+    let method = 'bm25';
+    if (mode === 'embedding') {
+      try {
+        const [vector] = await provider.embed([query]);
+        scored = chunks.map((chunk, i) => ({ i, score: chunk.vector ? cosine(vector, chunk.vector) : 0 }))
+          .filter(s => s.score >= minSimilarity);
+        method = 'embedding';
+      } catch (error) {
+        logger.error(`[RAG ERROR] Query embedding failed, using BM25: ${error.message}`);
+      }
+    }
+    if (!scored) {
+      scored = bm25.score(query).map((score, i) => ({ i, score })).filter(s => s.score > 0);
+    }
+
+    return scored
+      .filter(s => !excluded.has(chunks[s.i].key) && !(exclude && exclude(chunks[s.i])))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(s => {
+        const { key, kind, questionId, docId, title, text } = chunks[s.i];
+        return { key, kind, questionId, docId, title, text, score: Math.round(s.score * 1000) / 1000, method };
+      });
+  }
+
+  function status() {
+    return {
+      mode,
+      chunks: chunks.length,
+      embeddingModel: mode === 'embedding' ? provider.embeddingModel : null,
+      lastRefresh: lastRefresh ? lastRefresh.toISOString() : null
+    };
+  }
+
+  return {
+    ensureTables,
+    refresh,
+    search,
+    status
+  };
+}
+
+module.exports = {
+  createRetriever,
+  createBm25Index,
+  chunkText
+};
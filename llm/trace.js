@@ -0,0 +1,78 @@
+// "Trace my code": walk the user's source through the linked question's
+// sample input and point at the lines where it diverges from the expected
+// output.
+//
+// The code is sent with line numbers so the model can reference them, and the
+// reply follows a fixed Markdown layout that renders while it streams:
+//
+//   ### Trace       step-by-step table of executed lines and state
+//   ### Divergence  "- **Line N**: ..." bullets, one per diverging line
+//   ### Why         the underlying misconception
+//   ### Fix         what to change, in words
+//   ### Corrected solution   only when the user explicitly asked for it
+//
+// parseDivergentLines() pulls the line numbers back out of the finished reply
+// so the page can highlight them.
+
+const TRACE_LANGUAGES = ['python', 'javascript', 'cpp', 'java', 'c', 'go', 'rust', 'kotlin', 'csharp', 'other'];
+
+// Prompt used when the trace action is sent without a message
+const DEFAULT_TRACE_PROMPT = 'Trace my code on the sample input and show me where it goes wrong.';
+
+function numberLines(code) {
+  const lines = code.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+  const width = String(lines.length).length;
+  return lines.map((line, i) => `${String(i + 1).padStart(width)} | ${line}`).join('\n');
+}
+
+function countLines(code) {
+  return code.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n').length;
+}
+
+function buildTraceInstructions({ includeSolution }) {
+  return [
+    `Debugging mode (trace). The user wants to know why their code gives the wrong result on the problem above.`,
+    `Simulate their code by hand on the sample input, exactly as written (including its bugs), and compare what it produces with the sample output. The code is shown with line numbers ("N | code"); always refer to lines as "Line N" using those numbers.`,
+    `Answer with exactly these Markdown sections, in this order:`,
+    `### Trace\nA table with columns Step | Line | What happens | Variables / output, covering the lines that matter. Stop shortly after the first point where the behaviour goes wrong.`,
+    `### Divergence\nOne bullet per line where the behaviour diverges from a correct solution, formatted as "- **Line N**: what the code does vs. what it should do". If the code is correct on the sample, say so and mention any edge case that would still break it.`,
+    `### Why\nOne or two sentences on the underlying mistake.`,
+    includeSolution
+      ? `### Fix\nDescribe the change in words.\n\n### Corrected solution\nThe user explicitly asked for it: give the complete corrected code in the same language, keeping their structure where possible.`
+      : `### Fix\nDescribe the smallest change that fixes the divergent lines, in words or with at most a one-line snippet per line. Do NOT write a corrected version of the whole program or any other full solution.`
+  ].join('\n\n');
+}
+
+function buildTraceMessage({ prompt, code, language }) {
+  const fence = language && language !== 'other' ? language : '';
+  return `${prompt}\n\nMy code (${language || 'unknown language'}, ${countLines(code)} lines):\n\`\`\`${fence}\n${numberLines(code)}\n\`\`\``;
+}
+
+// Line numbers mentioned in the Divergence section, in reply order
+function parseDivergentLines(text, lineCount) {
+  const section = /#+\s*Divergence\s*\n([\s\S]*?)(?=\n#+\s|$)/i.exec(text);
+  if (!section) return [];
+
+  const lines = [];
+  const pattern = /\bLines?\s+(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/gi;
+  let match;
+  while ((match = pattern.exec(section[1])) !== null) {
+    const start = parseInt(match[1]);
+    const end = match[2] ? Math.min(parseInt(match[2]), start + 50) : start;
+    for (let line = start; line <= end; line++) {
+      if (line >= 1 && line <= lineCount && !lines.includes(line)) {
+        lines.push(line);
+      }
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  TRACE_LANGUAGES,
+  DEFAULT_TRACE_PROMPT,
+  buildTraceInstructions,
+  buildTraceMessage,
+  parseDivergentLines,
+  countLines
+};
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Command line access to question packages, talking to MySQL directly with
+// the same DB_* settings as finalserver.js.
+//
+//   node questions/cli.js validate <file>
+//   node questions/cli.js import <file> [--dry-run]
+//   node questions/cli.js export [--format yaml|json] [--ids 1,2,3] [--out <file>]
+//
+// Packages read from disk may keep large text in separate files: statementFile,
+// sample.inputFile / sample.outputFile, tests[].inputFile / tests[].outputFile
+// and reference.codeFile are read relative to the package file.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { createQuestionStore } = require('./store');
+const { parsePackage, validatePackage, serializePackage } = require('./package');
+
+const USAGE = `Usage:
+  node questions/cli.js validate <file>
+  node questions/cli.js import <file> [--dry-run]
+  node questions/cli.js export [--format yaml|json] [--ids 1,2,3] [--out <file>]`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+// Replace *File references with the file contents
+function inlineFiles(pkg, baseDir) {
+  const read = (file) => fs.readFileSync(path.resolve(baseDir, file), 'utf8');
+  const inlineIo = (io) => {
+    if (!io) return;
+    if (io.inputFile) { io.input = read(io.inputFile); delete io.inputFile; }
+    if (io.outputFile) { io.output = read(io.outputFile); delete io.outputFile; }
+  };
+
+  (pkg && Array.isArray(pkg.questions) ? pkg.questions : []).forEach(entry => {
+    if (!entry || typeof entry !== 'object') return;
+    if (entry.statementFile) { entry.statement = read(entry.statementFile); delete entry.statementFile; }
+    inlineIo(entry.sample);
+    (Array.isArray(entry.tests) ? entry.tests : []).forEach(inlineIo);
+    if (entry.reference && entry.reference.codeFile) {
+      entry.reference.code = read(entry.reference.codeFile);
+      delete entry.reference.codeFile;
+    }
+  });
+  return pkg;
+}
+
+function loadPackage(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const format = /\.json$/i.test(file) ? 'json' : /\.ya?ml$/i.test(file) ? 'yaml' : 'auto';
+  const pkg = inlineFiles(parsePackage(text, format), path.dirname(path.resolve(file)));
+  const { questions, errors } = validatePackage(pkg);
+  if (errors.length > 0) {
+    console.error(`❌ ${file} is not a valid question package:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+  return questions;
+}
+
+function printReport(report) {
+  const header = report.dryRun ? 'Dry run - nothing was written' : 'Import committed';
+  console.log(`\n${header}: ${report.created.length} new, ${report.updated.length} changed, ${report.unchanged.length} unchanged\n`);
+  report.created.forEach(q => console.log(`  + ${q.slug}${q.id ? ` (#${q.id})` : ''}  ${q.name}`));
+  report.updated.forEach(q => {
+    console.log(`  ~ ${q.slug} (#${q.id}${q.matchedBy === 'name' ? ', matched by name' : ''}) -> v${q.version}`);
+    q.changes.forEach(c => console.log(`      ${c.field}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`));
+  });
+  report.unchanged.forEach(q => console.log(`  = ${q.slug} (#${q.id})`));
+}
+
+function createPool() {
+  return mysql.createPool({
+    host: process.env.DB_HOST || "127.0.0.1",
+    user: process.env.DB_USER || "root",
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME || "smart_code_hub",
+    port: process.env.DB_PORT || 3306,
+    connectionLimit: 2
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, file] = args._;
+
+  if (command === 'validate' && file) {
+    const questions = loadPackage(file);
+    console.log(`✅ ${file}: ${questions.length} valid question(s)`);
+    return;
+  }
+
+  if (command === 'import' && file) {
+    const questions = loadPackage(file);
+    const pool = createPool();
+    try {
+      const store = createQuestionStore({ pool });
+      await store.ensureTables();
+      printReport(await store.importQuestions(questions, {
+        dryRun: !!args.dryRun,
+        note: `Imported from ${path.basename(file)}`
+      }));
+    } finally {
+      await pool.end();
+    }
+    return;
+  }
+
+  if (command === 'export') {
+    const format = args.format || (args.out && /\.json$/i.test(args.out) ? 'json' : 'yaml');
+    if (!['yaml', 'json'].includes(format)) {
+      throw new Error('--format must be yaml or json');
+    }
+    const ids = args.ids ? args.ids.split(',').map(id => parseInt(id)).filter(Boolean) : null;
+    const pool = createPool();
+    try {
+      const store = createQuestionStore({ pool });
+      await store.ensureTables();
+      const text = serializePackage(await store.exportQuestions(ids), format);
+      if (args.out) {
+        fs.writeFileSync(args.out, text);
+        console.log(`✅ Exported to ${args.out}`);
+      } else {
+        process.stdout.write(text);
+      }
+    } finally {
+      await pool.end();
+    }
+    return;
+  }
+
+  console.error(USAGE);
+  process.exit(1);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
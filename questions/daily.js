@@ -0,0 +1,288 @@
+// Question of the Day. A daily job (finalserver.js cron) picks one question
+// per day; every user's pick for the day is recorded the first time it is
+// served, together with when they solved it. Solving the day's question on
+// that day extends the daily-solve streak, which is separate from the login
+// streak on users.
+//
+//   const daily = createDailyQuestions({ pool, strategy: 'unsolved-first' });
+//   await daily.ensureTables();
+//   await daily.ensureDay();                        // cron, once a day
+//   const pick = await daily.forUser(userId);       // { day, questionId, solvedAt }
+//   await daily.recordSolve(userId, questionId);    // when a question is completed
+//
+// Strategies:
+//   round-robin      next question by id after yesterday's, wrapping around
+//   difficulty-cycle easy, medium, hard on consecutive days, round-robin within
+//                    each difficulty
+//   unsolved-first   the round-robin pick, or for a user who already solved it
+//                    the next question they have not completed
+
+const STRATEGIES = ['round-robin', 'difficulty-cycle', 'unsolved-first'];
+const CYCLE = ['easy', 'medium', 'hard'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' for the given instant in timeZone
+function dayKey(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+function previousDay(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+function createDailyQuestions({ pool, strategy = 'round-robin', timeZone = 'UTC' }) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown question of the day strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+  }
+
+  async function ensureTables() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS daily_questions (
+        day DATE PRIMARY KEY,
+        question_id INT NOT NULL,
+        strategy VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS user_daily_questions (
+        user_id INT NOT NULL,
+        day DATE NOT NULL,
+        question_id INT NOT NULL,
+        solved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, day)
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS daily_streaks (
+        user_id INT PRIMARY KEY,
+        current_streak INT NOT NULL DEFAULT 0,
+        longest_streak INT NOT NULL DEFAULT 0,
+        last_solved_day DATE NULL
+      )
+    `);
+  }
+
+  function today() {
+    return dayKey(new Date(), timeZone);
+  }
+
+  // First question after afterId (by id), wrapping to the lowest id
+  async function nextQuestion(afterId, difficulty = null) {
+    const where = difficulty ? "COALESCE(difficulty, 'easy') = ? AND " : '';
+    const params = difficulty ? [difficulty] : [];
+    const [after] = await pool.execute(
+      `SELECT qid FROM questions WHERE ${where}qid > ? ORDER BY qid LIMIT 1`,
+      [...params, afterId]
+    );
+    if (after.length > 0) return after[0].qid;
+    const [first] = await pool.execute(
+      `SELECT qid FROM questions WHERE ${where}qid > 0 ORDER BY qid LIMIT 1`,
+      params
+    );
+    return first.length > 0 ? first[0].qid : null;
+  }
+
+  // Most recent daily question before day, optionally of one difficulty
+  async function lastPick(day, difficulty = null) {
+    const [rows] = await pool.execute(
+      `SELECT d.question_id
+       FROM daily_questions d
+       JOIN questions q ON q.qid = d.question_id
+       WHERE d.day < ? ${difficulty ? "AND COALESCE(q.difficulty, 'easy') = ?" : ''}
+       ORDER BY d.day DESC LIMIT 1`,
+      difficulty ? [day, difficulty] : [day]
+    );
+    return rows.length > 0 ? rows[0].question_id : 0;
+  }
+
+  async function chooseQuestion(day) {
+    if (strategy === 'difficulty-cycle') {
+      const difficulty = CYCLE[Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS) % CYCLE.length];
+      const questionId = await nextQuestion(await lastPick(day, difficulty), difficulty);
+      // A difficulty with no questions falls back to plain round-robin
+      if (questionId) return questionId;
+    }
+    return nextQuestion(await lastPick(day));
+  }
+
+  async function getDay(day) {
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day, question_id, strategy
+       FROM daily_questions WHERE day = ?`,
+      [day]
+    );
+    if (rows.length === 0) return null;
+    return { day: rows[0].day, questionId: rows[0].question_id, strategy: rows[0].strategy };
+  }
+
+  // The day's question, picked now if the job has not run yet. Returns null
+  // while the question bank is empty.
+  async function ensureDay(day = today()) {
+    const existing = await getDay(day);
+    if (existing) return existing;
+
+    const questionId = await chooseQuestion(day);
+    if (!questionId) return null;
+    // Another request may have picked concurrently; the first insert wins
+    await pool.execute(
+      'INSERT IGNORE INTO daily_questions (day, question_id, strategy) VALUES (?, ?, ?)',
+      [day, questionId, strategy]
+    );
+    return getDay(day);
+  }
+
+  async function getUserDay(userId, day) {
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day, question_id, solved_at
+       FROM user_daily_questions WHERE user_id = ? AND day = ?`,
+      [userId, day]
+    );
+    if (rows.length === 0) return null;
+    return { day: rows[0].day, questionId: rows[0].question_id, solvedAt: rows[0].solved_at };
+  }
+
+  // The user's question for the day. Once served it stays fixed for the day,
+  // even if the user solves other questions meanwhile.
+  async function forUser(userId, day = today()) {
+    const existing = await getUserDay(userId, day);
+    if (existing) return existing;
+
+    const pick = await ensureDay(day);
+    if (!pick) return null;
+
+    let questionId = pick.questionId;
+    if (strategy === 'unsolved-first') {
+      // Starting at the day's pick and wrapping around
+      const [rows] = await pool.execute(
+        `SELECT q.qid
+         FROM questions q
+         LEFT JOIN question_status qs
+           ON qs.question_id = q.qid AND qs.user_id = ?
+         WHERE COALESCE(qs.completed, 0) = 0
+         ORDER BY q.qid < ?, q.qid
+         LIMIT 1`,
+        [userId, pick.questionId]
+      );
+      if (rows.length > 0) questionId = rows[0].qid;
+    }
+
+    await pool.execute(
+      'INSERT IGNORE INTO user_daily_questions (user_id, day, question_id) VALUES (?, ?, ?)',
+      [userId, day, questionId]
+    );
+    return getUserDay(userId, day);
+  }
+
+  // Marks today's question solved and extends the streak. Call it before
+  // question_status records the completion, so unsolved-first still sees the
+  // question as today's pick. Resolves to the streak, or null when
+  // questionId is not today's question or it was already solved.
+  async function recordSolve(userId, questionId) {
+    const day = today();
+    const pick = await forUser(userId, day);
+    if (!pick || pick.questionId !== Number(questionId) || pick.solvedAt) return null;
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [marked] = await conn.execute(
+        `UPDATE user_daily_questions SET solved_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND day = ? AND solved_at IS NULL`,
+        [userId, day]
+      );
+      if (marked.affectedRows === 0) {
+        await conn.rollback();
+        return null;
+      }
+
+      const [rows] = await conn.execute(
+        `SELECT current_streak, longest_streak, DATE_FORMAT(last_solved_day, '%Y-%m-%d') AS last_solved_day
+         FROM daily_streaks WHERE user_id = ? FOR UPDATE`,
+        [userId]
+      );
+      const row = rows[0];
+      const current = row && row.last_solved_day === previousDay(day) ? row.current_streak + 1 : 1;
+      const longest = Math.max(current, row ? row.longest_streak : 0);
+      await conn.execute(
+        `INSERT INTO daily_streaks (user_id, current_streak, longest_streak, last_solved_day)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           current_streak = VALUES(current_streak),
+           longest_streak = VALUES(longest_streak),
+           last_solved_day = VALUES(last_solved_day)`,
+        [userId, current, longest, day]
+      );
+      await conn.commit();
+      return { current, longest, lastSolvedDay: day };
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // A streak not extended today or yesterday has lapsed
+  async function getStreak(userId) {
+    const [rows] = await pool.execute(
+      `SELECT current_streak, longest_streak, DATE_FORMAT(last_solved_day, '%Y-%m-%d') AS last_solved_day
+       FROM daily_streaks WHERE user_id = ?`,
+      [userId]
+    );
+    const row = rows[0];
+    if (!row) return { current: 0, longest: 0, lastSolvedDay: null };
+    const day = today();
+    const alive = row.last_solved_day === day || row.last_solved_day === previousDay(day);
+    return {
+      current: alive ? row.current_streak : 0,
+      longest: row.longest_streak,
+      lastSolvedDay: row.last_solved_day
+    };
+  }
+
+  // Days the user was served a question, newest first
+  async function history(userId, limit = 30) {
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(u.day, '%Y-%m-%d') AS day, u.question_id, u.solved_at, q.qname, q.difficulty
+       FROM user_daily_questions u
+       LEFT JOIN questions q ON q.qid = u.question_id
+       WHERE u.user_id = ?
+       ORDER BY u.day DESC
+       LIMIT ?`,
+      [userId, limit]
+    );
+    return rows.map(r => ({
+      day: r.day,
+      questionId: r.question_id,
+      name: r.qname,
+      difficulty: r.difficulty || 'easy',
+      solved: !!r.solved_at,
+      solvedAt: r.solved_at
+    }));
+  }
+
+  return {
+    strategy,
+    timeZone,
+    today,
+    ensureTables,
+    ensureDay,
+    forUser,
+    recordSolve,
+    getStreak,
+    history
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  createDailyQuestions,
+  dayKey
+};
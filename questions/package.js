@@ -0,0 +1,193 @@
+// Question packages: a portable JSON or YAML file holding a set of questions,
+// meant to live in git and be loaded with the import endpoint or the CLI
+// (questions/cli.js). The format is described in questions/PACKAGE_FORMAT.md.
+//
+//   const pkg = parsePackage(text);                // JSON or YAML
+//   const { questions, errors } = validatePackage(pkg);
+//   const text = serializePackage(await store.exportQuestions(), 'yaml');
+//
+// YAML needs the js-yaml package (npm install js-yaml). It is loaded on first
+// use, so JSON packages work without it.
+
+const { validateQuestion, normalizeTags, slugify } = require('./store');
+
+const PACKAGE_FORMAT = 'smart-code-hub/questions';
+const PACKAGE_VERSION = 1;
+const MAX_PACKAGE_QUESTIONS = 500;
+
+function loadYaml() {
+  try {
+    return require('js-yaml');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    const missing = new Error('YAML packages need the js-yaml package (npm install js-yaml); use JSON instead');
+    missing.code = 'yaml_unavailable';
+    missing.status = 500;
+    throw missing;
+  }
+}
+
+// format: 'json', 'yaml' or 'auto' (JSON if the text starts with "{")
+function parsePackage(text, format = 'auto') {
+  const useJson = format === 'json' || (format === 'auto' && /^\s*\{/.test(text));
+  const yaml = useJson ? null : loadYaml();
+  try {
+    return useJson ? JSON.parse(text) : yaml.load(text, { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    const parseError = new Error(`Could not parse package as ${useJson ? 'JSON' : 'YAML'}: ${error.message}`);
+    parseError.status = 400;
+    throw parseError;
+  }
+}
+
+// Package entry -> store fields (see questions/store.js)
+function toStoreFields(entry) {
+  const sample = entry.sample || {};
+  return {
+    slug: entry.slug,
+    name: entry.name,
+    description: entry.statement,
+    sampleInput: sample.input ?? null,
+    sampleOutput: sample.output ?? null,
+    difficulty: entry.difficulty,
+    tags: entry.tags || [],
+    tests: (entry.tests || []).map(test => ({
+      input: test.input,
+      expectedOutput: test.output,
+      hidden: test.hidden !== false,
+      timeLimitMs: test.timeLimitMs ?? null
+    })),
+    reference: entry.reference || null
+  };
+}
+
+// Store messages use API field names; report them with package names
+function packageMessage(problem) {
+  return problem
+    .replace(/^description\b/, 'statement')
+    .replace(/^sampleInput\b/, 'sample.input')
+    .replace(/^sampleOutput\b/, 'sample.output')
+    .replace(/\.expectedOutput\b/, '.output');
+}
+
+// Returns { questions: [store fields], errors: ["questions[2] (two-sum): ..."] }.
+// A package with any error must not be imported.
+function validatePackage(pkg) {
+  const errors = [];
+  if (!pkg || typeof pkg !== 'object' || Array.isArray(pkg)) {
+    return { questions: [], errors: ['package must be an object with a "questions" list'] };
+  }
+  if (pkg.format !== undefined && pkg.format !== PACKAGE_FORMAT) {
+    errors.push(`format must be "${PACKAGE_FORMAT}"`);
+  }
+  if (pkg.version !== undefined && pkg.version !== PACKAGE_VERSION) {
+    errors.push(`unsupported package version ${pkg.version} (expected ${PACKAGE_VERSION})`);
+  }
+  if (!Array.isArray(pkg.questions) || pkg.questions.length === 0) {
+    errors.push('questions must be a non-empty list');
+    return { questions: [], errors };
+  }
+  if (pkg.questions.length > MAX_PACKAGE_QUESTIONS) {
+    errors.push(`a package holds at most ${MAX_PACKAGE_QUESTIONS} questions`);
+    return { questions: [], errors };
+  }
+
+  const seen = new Set();
+  const questions = [];
+  pkg.questions.forEach((entry, i) => {
+    const label = `questions[${i}]${entry && entry.slug ? ` (${entry.slug})` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (entry.slug === undefined || entry.slug === null) {
+      errors.push(`${label}: slug is required`);
+      return;
+    }
+    if (seen.has(entry.slug)) {
+      errors.push(`${label}: duplicate slug`);
+      return;
+    }
+    seen.add(entry.slug);
+    if (entry.sample !== undefined && (typeof entry.sample !== 'object' || entry.sample === null)) {
+      errors.push(`${label}: sample must be { input, output }`);
+      return;
+    }
+    if (entry.tests !== undefined && !Array.isArray(entry.tests)) {
+      errors.push(`${label}: tests must be a list`);
+      return;
+    }
+
+    const fields = toStoreFields(entry);
+    const problem = validateQuestion(fields);
+    if (problem) {
+      errors.push(`${label}: ${packageMessage(problem)}`);
+      return;
+    }
+    fields.tags = normalizeTags(fields.tags);
+    questions.push(fields);
+  });
+
+  return { questions, errors };
+}
+
+// Store question -> package entry; optional fields are left out when empty
+function toPackageEntry(question) {
+  const entry = {
+    slug: question.slug,
+    name: question.name,
+    difficulty: question.difficulty,
+    tags: question.tags,
+    statement: question.description
+  };
+  // A missing side is left out (not ''), so re-importing stores null again
+  if (question.sampleInput !== null || question.sampleOutput !== null) {
+    entry.sample = {};
+    if (question.sampleInput !== null) entry.sample.input = question.sampleInput;
+    if (question.sampleOutput !== null) entry.sample.output = question.sampleOutput;
+  }
+  if (question.tests.length > 0) {
+    entry.tests = question.tests.map(test => {
+      const out = { input: test.input, output: test.expectedOutput, hidden: test.hidden };
+      if (test.timeLimitMs) out.timeLimitMs = test.timeLimitMs;
+      return out;
+    });
+  }
+  if (question.reference) {
+    entry.reference = question.reference;
+  }
+  return entry;
+}
+
+// Questions without a slug get one from their name; the importer matches
+// those back by name and stores the slug
+function serializePackage(questions, format = 'yaml') {
+  const used = new Set(questions.map(q => q.slug).filter(Boolean));
+  const entries = questions.map(question => {
+    let slug = question.slug;
+    if (!slug) {
+      const base = slugify(question.name) || `question-${question.id}`;
+      slug = used.has(base) ? `${base}-${question.id}` : base;
+      used.add(slug);
+    }
+    return toPackageEntry({ ...question, slug });
+  });
+
+  const pkg = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    questions: entries
+  };
+  return format === 'json'
+    ? JSON.stringify(pkg, null, 2) + '\n'
+    : loadYaml().dump(pkg, { lineWidth: -1, noRefs: true });
+}
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  parsePackage,
+  validatePackage,
+  serializePackage
+};
@@ -0,0 +1,273 @@
+// Spaced-repetition review of solved and bookmarked questions (SM-2).
+//
+// Each time a user revisits a question they grade their recall from 0 to 5.
+// The grade updates the question's review card (repetitions, ease factor,
+// interval) and sets the next due day. Solved or bookmarked questions get a
+// card when first seen, due from tomorrow on and at most newPerDay per day,
+// so a long backlog is introduced gradually instead of all at once.
+//
+//   const reviews = createReviewQueue({ pool, timeZone: 'UTC', newPerDay: 5 });
+//   await reviews.ensureTables();
+//   const { due, total } = await reviews.listDue(userId, { limit: 20 });
+//   const card = await reviews.grade(userId, questionId, 4);
+//   const digest = await reviews.dueCounts();      // [{ userId, email, count, names }]
+
+const { dayKey } = require('./daily');
+
+const MIN_GRADE = 0;
+const MAX_GRADE = 5;
+const PASSING_GRADE = 3;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const DEFAULT_NEW_PER_DAY = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// One SM-2 step. card: { repetitions, easeFactor, intervalDays } (or null for
+// a new card). A grade below 3 restarts the repetitions; the ease factor
+// moves with every grade but never drops below 1.3.
+function sm2(card, grade) {
+  const previous = card || { repetitions: 0, easeFactor: DEFAULT_EASE, intervalDays: 0 };
+  let repetitions;
+  let intervalDays;
+
+  if (grade >= PASSING_GRADE) {
+    repetitions = previous.repetitions + 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(previous.intervalDays * previous.easeFactor);
+    }
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+  }
+
+  const miss = MAX_GRADE - grade;
+  const easeFactor = Math.max(MIN_EASE, previous.easeFactor + (0.1 - miss * (0.08 + miss * 0.02)));
+  return { repetitions, easeFactor: Math.round(easeFactor * 100) / 100, intervalDays };
+}
+
+function validateGrade(grade) {
+  if (!Number.isInteger(grade) || grade < MIN_GRADE || grade > MAX_GRADE) {
+    return `grade must be an integer from ${MIN_GRADE} to ${MAX_GRADE}`;
+  }
+  return null;
+}
+
+function createReviewQueue({ pool, timeZone = 'UTC', newPerDay = DEFAULT_NEW_PER_DAY }) {
+  async function ensureTables() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS review_cards (
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        repetitions INT NOT NULL DEFAULT 0,
+        ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+        interval_days INT NOT NULL DEFAULT 0,
+        due_date DATE NOT NULL,
+        last_grade TINYINT NULL,
+        review_count INT NOT NULL DEFAULT 0,
+        last_reviewed_at TIMESTAMP NULL,
+        PRIMARY KEY (user_id, question_id),
+        INDEX idx_review_cards_due (user_id, due_date)
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS review_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        question_id INT NOT NULL,
+        grade TINYINT NOT NULL,
+        interval_days INT NOT NULL,
+        ease_factor DECIMAL(4,2) NOT NULL,
+        reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_review_log_user (user_id, question_id, reviewed_at)
+      )
+    `);
+  }
+
+  function today() {
+    return dayKey(new Date(), timeZone);
+  }
+
+  // Creates cards for solved/bookmarked questions that have none (of one user,
+  // or everyone). They are spread newPerDay a day starting tomorrow, after the
+  // user's not yet reviewed cards already waiting from today on.
+  async function seedNewCards(userId = null) {
+    const day = today();
+    await pool.query(
+      `INSERT IGNORE INTO review_cards (user_id, question_id, due_date)
+       SELECT qs.user_id, qs.question_id,
+              DATE_ADD(?, INTERVAL 1 + FLOOR(
+                (COALESCE(waiting.count, 0) + ROW_NUMBER() OVER (PARTITION BY qs.user_id ORDER BY qs.question_id) - 1) / ?
+              ) DAY)
+       FROM question_status qs
+       JOIN questions q ON q.qid = qs.question_id
+       LEFT JOIN review_cards rc
+         ON rc.user_id = qs.user_id AND rc.question_id = qs.question_id
+       LEFT JOIN (
+         SELECT user_id, COUNT(*) AS count
+         FROM review_cards
+         WHERE review_count = 0 AND due_date > ?${userId ? ' AND user_id = ?' : ''}
+         GROUP BY user_id
+       ) waiting ON waiting.user_id = qs.user_id
+       WHERE (qs.completed = 1 OR qs.bookmarked = 1) AND rc.question_id IS NULL${userId ? ' AND qs.user_id = ?' : ''}`,
+      userId ? [day, newPerDay, day, userId, userId] : [day, newPerDay, day]
+    );
+  }
+
+  const CARD_COLUMNS = `rc.user_id, rc.question_id, DATE_FORMAT(rc.due_date, '%Y-%m-%d') AS due_date,
+    rc.repetitions, rc.ease_factor, rc.interval_days, rc.last_grade, rc.review_count`;
+
+  // Overdue cards first, new questions last
+  async function listDue(userId, { limit = 20 } = {}) {
+    const day = today();
+    await seedNewCards(userId);
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) AS total
+       FROM review_cards rc
+       JOIN questions q ON q.qid = rc.question_id
+       WHERE rc.user_id = ? AND rc.due_date <= ?`,
+      [userId, day]
+    );
+    const [rows] = await pool.query(
+      `SELECT ${CARD_COLUMNS}, q.qname, q.difficulty, qs.bookmarked, qs.completed
+       FROM review_cards rc
+       JOIN questions q ON q.qid = rc.question_id
+       LEFT JOIN question_status qs
+         ON qs.user_id = rc.user_id AND qs.question_id = rc.question_id
+       WHERE rc.user_id = ? AND rc.due_date <= ?
+       ORDER BY rc.review_count = 0, rc.due_date, rc.question_id
+       LIMIT ?`,
+      [userId, day, limit]
+    );
+
+    return {
+      day,
+      total: Number(total),
+      due: rows.map(r => ({
+        questionId: r.question_id,
+        name: r.qname,
+        difficulty: r.difficulty || 'easy',
+        bookmarked: !!r.bookmarked,
+        completed: !!r.completed,
+        isNew: r.review_count === 0,
+        dueDate: r.due_date,
+        repetitions: r.repetitions,
+        easeFactor: Number(r.ease_factor),
+        intervalDays: r.interval_days,
+        lastGrade: r.last_grade,
+        reviewCount: r.review_count
+      }))
+    };
+  }
+
+  // Records the grade and schedules the next review. Resolves to the updated
+  // card, or null if the question does not exist.
+  async function grade(userId, questionId, value) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [questions] = await conn.execute('SELECT qid FROM questions WHERE qid = ?', [questionId]);
+      if (questions.length === 0) {
+        await conn.rollback();
+        return null;
+      }
+
+      const [cards] = await conn.execute(
+        `SELECT repetitions, ease_factor, interval_days, review_count
+         FROM review_cards WHERE user_id = ? AND question_id = ? FOR UPDATE`,
+        [userId, questionId]
+      );
+      const card = cards[0];
+      const next = sm2(card ? {
+        repetitions: card.repetitions,
+        easeFactor: Number(card.ease_factor),
+        intervalDays: card.interval_days
+      } : null, value);
+      const dueDate = addDays(today(), next.intervalDays);
+
+      await conn.execute(
+        `INSERT INTO review_cards
+           (user_id, question_id, repetitions, ease_factor, interval_days, due_date, last_grade, review_count, last_reviewed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+         ON DUPLICATE KEY UPDATE
+           repetitions = VALUES(repetitions),
+           ease_factor = VALUES(ease_factor),
+           interval_days = VALUES(interval_days),
+           due_date = VALUES(due_date),
+           last_grade = VALUES(last_grade),
+           review_count = review_count + 1,
+           last_reviewed_at = CURRENT_TIMESTAMP`,
+        [userId, questionId, next.repetitions, next.easeFactor, next.intervalDays, dueDate, value]
+      );
+      await conn.execute(
+        'INSERT INTO review_log (user_id, question_id, grade, interval_days, ease_factor) VALUES (?, ?, ?, ?, ?)',
+        [userId, questionId, value, next.intervalDays, next.easeFactor]
+      );
+      await conn.commit();
+
+      return {
+        questionId,
+        grade: value,
+        repetitions: next.repetitions,
+        easeFactor: next.easeFactor,
+        intervalDays: next.intervalDays,
+        dueDate,
+        reviewCount: card ? card.review_count + 1 : 1
+      };
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // Users with anything due today, for the digest email. names holds the
+  // first few due questions.
+  async function dueCounts({ namesPerUser = 5 } = {}) {
+    await seedNewCards();
+    const [rows] = await pool.execute(
+      `SELECT u.id AS user_id, u.email, u.full_name, q.qname
+       FROM review_cards rc
+       JOIN questions q ON q.qid = rc.question_id
+       JOIN users u ON u.id = rc.user_id
+       WHERE rc.due_date <= ?
+       ORDER BY u.id, rc.review_count = 0, rc.due_date, rc.question_id`,
+      [today()]
+    );
+
+    const users = new Map();
+    rows.forEach(r => {
+      if (!users.has(r.user_id)) {
+        users.set(r.user_id, { userId: r.user_id, email: r.email, fullName: r.full_name, count: 0, names: [] });
+      }
+      const entry = users.get(r.user_id);
+      entry.count++;
+      if (entry.names.length < namesPerUser) entry.names.push(r.qname);
+    });
+    return [...users.values()];
+  }
+
+  return {
+    today,
+    ensureTables,
+    listDue,
+    grade,
+    dueCounts
+  };
+}
+
+module.exports = {
+  MIN_GRADE,
+  MAX_GRADE,
+  createReviewQueue,
+  sm2,
+  validateGrade
+};
@@ -0,0 +1,669 @@
+// Question bank authoring: questions, their judge tests and version history.
+//
+// Every change made through the store bumps questions.version and writes a
+// full snapshot (fields, tests, reference solution) to question_versions, so
+// an edit never silently rewrites a problem somebody already solved:
+// question_status.solved_version records which version a user solved, and
+// the old text stays available from the history.
+//
+//   const store = createQuestionStore({ pool });
+//   await store.ensureTables();
+//   const id = await store.createQuestion(fields, { editorId, note });
+//   await store.updateQuestion(id, { difficulty: 'hard' }, { editorId });
+//   await store.addTest(id, { input, expectedOutput, hidden: true }, { editorId });
+//   const report = await store.importQuestions(questions, { dryRun: true });
+//
+// Questions may carry a slug (stable id used by question packages, see
+// questions/package.js) and a set of topic tags from questions/topics.js.
+
+const { resolveTopic } = require('./topics');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_NAME_CHARS = 255;
+const MAX_TEXT_BYTES = 64 * 1024;
+// Matches the runner's stdin cap so every stored test can actually be run
+const MAX_TEST_BYTES = 1024 * 1024;
+const MAX_TESTS = 100;
+const MAX_NOTE_CHARS = 255;
+const MAX_SLUG_CHARS = 100;
+const MAX_TAGS = 20;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Request field -> questions column
+const QUESTION_FIELDS = {
+  name: 'qname',
+  description: 'qdescription',
+  sampleInput: 'sample_input',
+  sampleOutput: 'sample_output',
+  difficulty: 'difficulty'
+};
+
+function isText(value, maxBytes) {
+  return typeof value === 'string' && Buffer.byteLength(value) <= maxBytes;
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_SLUG_CHARS)
+    .replace(/-+$/, '');
+}
+
+// Tags are stored as topic slugs, de-duplicated (validateQuestion rejects unknown topics)
+function normalizeTags(tags) {
+  return [...new Set(tags.map(resolveTopic).filter(Boolean).map(topic => topic.slug))].sort();
+}
+
+// Returns an error message, or null when the fields are valid. With partial,
+// missing fields are allowed (PATCH).
+function validateQuestion(fields, { partial = false } = {}) {
+  const has = (key) => fields[key] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > MAX_NAME_CHARS) {
+      return `name is required (max ${MAX_NAME_CHARS} characters)`;
+    }
+  }
+  if (!partial || has('description')) {
+    if (!isText(fields.description, MAX_TEXT_BYTES) || !fields.description.trim()) {
+      return `description is required (max ${MAX_TEXT_BYTES / 1024} KB)`;
+    }
+  }
+  for (const key of ['sampleInput', 'sampleOutput']) {
+    if (has(key) && fields[key] !== null && !isText(fields[key], MAX_TEXT_BYTES)) {
+      return `${key} must be text of at most ${MAX_TEXT_BYTES / 1024} KB`;
+    }
+  }
+  if (!partial || has('difficulty')) {
+    if (!DIFFICULTIES.includes(fields.difficulty)) {
+      return `difficulty must be one of ${DIFFICULTIES.join(', ')}`;
+    }
+  }
+  if (has('slug') && fields.slug !== null) {
+    if (typeof fields.slug !== 'string' || fields.slug.length > MAX_SLUG_CHARS || !SLUG_PATTERN.test(fields.slug)) {
+      return `slug must be lowercase letters, digits and dashes (max ${MAX_SLUG_CHARS} characters)`;
+    }
+  }
+  if (has('tags')) {
+    if (!Array.isArray(fields.tags) || fields.tags.length > MAX_TAGS) {
+      return `tags must be a list of at most ${MAX_TAGS} topics`;
+    }
+    const unknown = fields.tags.find(tag => !resolveTopic(tag));
+    if (unknown !== undefined) {
+      return `unknown tag ${JSON.stringify(unknown)} (see GET /api/qodt-questions/tags for the topic list)`;
+    }
+  }
+  if (has('reference') && fields.reference !== null) {
+    const { reference } = fields;
+    if (typeof reference !== 'object' || typeof reference.language !== 'string' || !isText(reference.code, MAX_TEXT_BYTES) || !reference.code.trim()) {
+      return 'reference must be { language, code } or null';
+    }
+  }
+  if (has('tests')) {
+    return validateTests(fields.tests);
+  }
+  return null;
+}
+
+function validateTest(test, label = 'test') {
+  if (!test || typeof test !== 'object') return `${label} must be an object`;
+  if (!isText(test.input, MAX_TEST_BYTES)) return `${label}.input must be text of at most ${MAX_TEST_BYTES / 1024} KB`;
+  if (!isText(test.expectedOutput, MAX_TEST_BYTES)) return `${label}.expectedOutput must be text of at most ${MAX_TEST_BYTES / 1024} KB`;
+  if (test.hidden !== undefined && typeof test.hidden !== 'boolean') return `${label}.hidden must be a boolean`;
+  if (test.timeLimitMs !== undefined && test.timeLimitMs !== null
+      && (!Number.isInteger(test.timeLimitMs) || test.timeLimitMs < 100 || test.timeLimitMs > 10000)) {
+    return `${label}.timeLimitMs must be an integer between 100 and 10000`;
+  }
+  return null;
+}
+
+function validateTests(tests) {
+  if (!Array.isArray(tests)) return 'tests must be an array';
+  if (tests.length > MAX_TESTS) return `at most ${MAX_TESTS} tests are allowed`;
+  for (let i = 0; i < tests.length; i++) {
+    const problem = validateTest(tests[i], `tests[${i}]`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+function validateNote(note) {
+  if (note === undefined || note === null) return null;
+  return typeof note === 'string' && note.length <= MAX_NOTE_CHARS ? null : `note must be at most ${MAX_NOTE_CHARS} characters`;
+}
+
+function toTest(row) {
+  return {
+    id: row.id,
+    input: row.input,
+    expectedOutput: row.expected_output,
+    hidden: !!row.is_hidden,
+    position: row.position,
+    timeLimitMs: row.time_limit_ms
+  };
+}
+
+function summarize(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  return value.length > 80 ? `${value.substring(0, 77)}... (${value.length} chars)` : value;
+}
+
+function testKey(test) {
+  return JSON.stringify([test.input, test.expectedOutput, test.hidden !== false, test.timeLimitMs || null]);
+}
+
+// Field-by-field changes that applying `fields` to `current` would make:
+// [{ field, from, to }] with long text shortened. Tests are compared as a
+// whole and reported as counts.
+function diffQuestion(current, fields) {
+  const changes = [];
+  for (const key of [...Object.keys(QUESTION_FIELDS), 'slug']) {
+    if (fields[key] === undefined) continue;
+    const next = key === 'name' ? fields[key].trim() : fields[key];
+    if ((next ?? null) !== (current[key] ?? null)) {
+      changes.push({ field: key, from: summarize(current[key]), to: summarize(next) });
+    }
+  }
+  if (fields.tags !== undefined) {
+    const next = normalizeTags(fields.tags);
+    if (JSON.stringify(next) !== JSON.stringify(current.tags)) {
+      changes.push({ field: 'tags', from: current.tags, to: next });
+    }
+  }
+  if (fields.reference !== undefined) {
+    const from = current.reference ? { language: current.reference.language, code: current.reference.code } : null;
+    const to = fields.reference ? { language: fields.reference.language, code: fields.reference.code } : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({
+        field: 'reference',
+        from: from && `${from.language} (${from.code.length} chars)`,
+        to: to && `${to.language} (${to.code.length} chars)`
+      });
+    }
+  }
+  if (fields.tests !== undefined) {
+    const before = current.tests.map(testKey);
+    const after = fields.tests.map(testKey);
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      const removed = before.filter(key => !after.includes(key)).length;
+      const added = after.filter(key => !before.includes(key)).length;
+      changes.push({
+        field: 'tests',
+        from: `${before.length} test(s)`,
+        to: `${after.length} test(s): ${added} new, ${removed} removed${added || removed ? '' : ', reordered'}`
+      });
+    }
+  }
+  return changes;
+}
+
+function createQuestionStore({ pool }) {
+  // Adds a column to an existing table (the questions tables predate this module)
+  async function ensureColumn(table, column, definition) {
+    const [rows] = await pool.execute(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    if (rows.length === 0) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  async function ensureIndex(table, index, definition) {
+    const [rows] = await pool.execute(
+      `SELECT 1 FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, index]
+    );
+    if (rows.length === 0) {
+      await pool.query(`ALTER TABLE ${table} ADD ${definition}`);
+    }
+  }
+
+  async function ensureTables() {
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS test_cases (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        question_id INT NOT NULL,
+        input MEDIUMTEXT NOT NULL,
+        expected_output MEDIUMTEXT NOT NULL,
+        is_hidden BOOLEAN NOT NULL DEFAULT TRUE,
+        position INT NOT NULL DEFAULT 0,
+        time_limit_ms INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_test_cases_question (question_id, position)
+      )
+    `);
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS question_tags (
+        question_id INT NOT NULL,
+        tag VARCHAR(50) NOT NULL,
+        PRIMARY KEY (question_id, tag),
+        INDEX idx_question_tags_tag (tag)
+      )
+    `);
+    await ensureColumn('questions', 'slug', 'VARCHAR(100) NULL');
+    await ensureIndex('questions', 'uniq_questions_slug', 'UNIQUE INDEX uniq_questions_slug (slug)');
+    // Search on GET /api/qodt-questions?q=
+    await ensureIndex('questions', 'ft_questions_text', 'FULLTEXT INDEX ft_questions_text (qname, qdescription)');
+    await ensureColumn('questions', 'version', 'INT NOT NULL DEFAULT 1');
+    await ensureColumn('questions', 'reference_language', 'VARCHAR(20) NULL');
+    await ensureColumn('questions', 'reference_solution', 'MEDIUMTEXT NULL');
+    await ensureColumn('question_status', 'solved_version', 'INT NULL');
+    await pool.execute(`
+      CREATE TABLE IF NOT EXISTS question_versions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        question_id INT NOT NULL,
+        version INT NOT NULL,
+        qname VARCHAR(255) NOT NULL,
+        qdescription MEDIUMTEXT NOT NULL,
+        sample_input MEDIUMTEXT NULL,
+        sample_output MEDIUMTEXT NULL,
+        difficulty VARCHAR(10) NOT NULL,
+        tests LONGTEXT NOT NULL,
+        reference_language VARCHAR(20) NULL,
+        reference_solution MEDIUMTEXT NULL,
+        note VARCHAR(255) NULL,
+        edited_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_question_version (question_id, version)
+      )
+    `);
+    await ensureColumn('question_versions', 'slug', 'VARCHAR(100) NULL AFTER version');
+    await ensureColumn('question_versions', 'tags', 'TEXT NULL AFTER difficulty');
+  }
+
+  async function loadQuestion(conn, questionId, { lock = false } = {}) {
+    const [rows] = await conn.execute(
+      `SELECT qid, slug, qname, qdescription, sample_input, sample_output, difficulty, version,
+              reference_language, reference_solution
+       FROM questions WHERE qid = ?${lock ? ' FOR UPDATE' : ''}`,
+      [questionId]
+    );
+    if (rows.length === 0) return null;
+    const [tests] = await conn.execute(
+      `SELECT id, input, expected_output, is_hidden, position, time_limit_ms
+       FROM test_cases WHERE question_id = ? ORDER BY position, id`,
+      [questionId]
+    );
+    const [tags] = await conn.execute(
+      'SELECT tag FROM question_tags WHERE question_id = ? ORDER BY tag',
+      [questionId]
+    );
+    const row = rows[0];
+    return {
+      id: row.qid,
+      slug: row.slug,
+      name: row.qname,
+      description: row.qdescription || '',
+      sampleInput: row.sample_input,
+      sampleOutput: row.sample_output,
+      difficulty: row.difficulty || 'easy',
+      version: row.version,
+      reference: row.reference_solution
+        ? { language: row.reference_language, code: row.reference_solution }
+        : null,
+      tags: tags.map(t => t.tag),
+      tests: tests.map(toTest)
+    };
+  }
+
+  // INSERT IGNORE keeps the first snapshot of a version (questions that
+  // existed before versioning get their baseline on the first edit)
+  async function snapshot(conn, question, { editorId = null, note = null } = {}) {
+    await conn.execute(
+      `INSERT IGNORE INTO question_versions
+         (question_id, version, slug, qname, qdescription, sample_input, sample_output, difficulty,
+          tags, tests, reference_language, reference_solution, note, edited_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        question.id,
+        question.version,
+        question.slug,
+        question.name,
+        question.description,
+        question.sampleInput,
+        question.sampleOutput,
+        question.difficulty,
+        JSON.stringify(question.tags),
+        JSON.stringify(question.tests.map(({ input, expectedOutput, hidden, timeLimitMs }) => ({ input, expectedOutput, hidden, timeLimitMs }))),
+        question.reference ? question.reference.language : null,
+        question.reference ? question.reference.code : null,
+        note,
+        editorId
+      ]
+    );
+  }
+
+  async function insertTests(conn, questionId, tests, startPosition = 0) {
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      await conn.execute(
+        `INSERT INTO test_cases (question_id, input, expected_output, is_hidden, position, time_limit_ms)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [questionId, test.input, test.expectedOutput, test.hidden === false ? 0 : 1, startPosition + i, test.timeLimitMs || null]
+      );
+    }
+  }
+
+  async function replaceTags(conn, questionId, tags) {
+    await conn.execute('DELETE FROM question_tags WHERE question_id = ?', [questionId]);
+    for (const tag of normalizeTags(tags)) {
+      await conn.execute('INSERT INTO question_tags (question_id, tag) VALUES (?, ?)', [questionId, tag]);
+    }
+  }
+
+  async function withTransaction(fn) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  // Runs apply(conn, current) and records a new version, inside the given
+  // connection's transaction or a new one. apply returns false when it
+  // changed nothing. Resolves to the new version, the unchanged version, or
+  // null if the question does not exist.
+  async function editQuestion(questionId, meta, apply, conn = null) {
+    if (!conn) {
+      return withTransaction(tx => editQuestion(questionId, meta, apply, tx));
+    }
+    const current = await loadQuestion(conn, questionId, { lock: true });
+    if (!current) return null;
+    await snapshot(conn, current);
+
+    const changed = await apply(conn, current);
+    if (changed === false) return { version: current.version, changed: false };
+
+    await conn.execute('UPDATE questions SET version = version + 1 WHERE qid = ?', [questionId]);
+    const next = await loadQuestion(conn, questionId);
+    await snapshot(conn, next, meta);
+    return { version: next.version, changed: true };
+  }
+
+  async function getQuestion(questionId) {
+    return loadQuestion(pool, questionId);
+  }
+
+  async function listQuestions() {
+    const [rows] = await pool.execute(
+      `SELECT q.qid AS id, q.slug, q.qname AS name, q.difficulty, q.version,
+              q.reference_solution IS NOT NULL AS has_reference,
+              COUNT(t.id) AS tests,
+              COALESCE(SUM(t.is_hidden), 0) AS hidden_tests
+       FROM questions q
+       LEFT JOIN test_cases t ON t.question_id = q.qid
+       GROUP BY q.qid
+       ORDER BY q.qid`
+    );
+    return rows.map(r => ({
+      id: r.id,
+      slug: r.slug,
+      name: r.name,
+      difficulty: r.difficulty || 'easy',
+      version: r.version,
+      hasReference: !!r.has_reference,
+      tests: Number(r.tests),
+      hiddenTests: Number(r.hidden_tests)
+    }));
+  }
+
+  // fields as accepted by validateQuestion; slug, tags, tests and reference are optional
+  async function insertQuestion(conn, fields, meta) {
+    const [result] = await conn.execute(
+      `INSERT INTO questions (slug, qname, qdescription, sample_input, sample_output, difficulty, version, reference_language, reference_solution)
+       VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+      [
+        fields.slug || null,
+        fields.name.trim(),
+        fields.description,
+        fields.sampleInput ?? null,
+        fields.sampleOutput ?? null,
+        fields.difficulty,
+        fields.reference ? fields.reference.language : null,
+        fields.reference ? fields.reference.code : null
+      ]
+    );
+    await insertTests(conn, result.insertId, fields.tests || []);
+    await replaceTags(conn, result.insertId, fields.tags || []);
+    const created = await loadQuestion(conn, result.insertId);
+    await snapshot(conn, created, meta);
+    return result.insertId;
+  }
+
+  async function createQuestion(fields, meta = {}) {
+    return withTransaction(conn => insertQuestion(conn, fields, meta));
+  }
+
+  // Writes the changes diffQuestion reports; returns false if there were none
+  async function applyChanges(conn, current, fields) {
+    const changed = new Set(diffQuestion(current, fields).map(c => c.field));
+    if (changed.size === 0) return false;
+
+    const sets = [];
+    const params = [];
+    for (const [key, column] of Object.entries({ ...QUESTION_FIELDS, slug: 'slug' })) {
+      if (!changed.has(key)) continue;
+      sets.push(`${column} = ?`);
+      params.push(key === 'name' ? fields[key].trim() : fields[key]);
+    }
+    if (changed.has('reference')) {
+      sets.push('reference_language = ?', 'reference_solution = ?');
+      params.push(fields.reference ? fields.reference.language : null, fields.reference ? fields.reference.code : null);
+    }
+    if (sets.length > 0) {
+      await conn.execute(`UPDATE questions SET ${sets.join(', ')} WHERE qid = ?`, [...params, current.id]);
+    }
+    if (changed.has('tags')) {
+      await replaceTags(conn, current.id, fields.tags);
+    }
+    if (changed.has('tests')) {
+      await conn.execute('DELETE FROM test_cases WHERE question_id = ?', [current.id]);
+      await insertTests(conn, current.id, fields.tests);
+    }
+    return true;
+  }
+
+  // Partial update; tags and tests, when given, replace the whole set
+  async function updateQuestion(questionId, fields, meta = {}) {
+    return editQuestion(questionId, meta, (conn, current) => applyChanges(conn, current, fields));
+  }
+
+  // A package question matches by slug, or else by name among questions
+  // that have no slug yet (so hand-made questions adopt their slug)
+  async function findForImport(conn, fields) {
+    const [bySlug] = await conn.execute('SELECT qid FROM questions WHERE slug = ?', [fields.slug]);
+    if (bySlug.length > 0) return { id: bySlug[0].qid, matchedBy: 'slug' };
+    const [byName] = await conn.execute(
+      'SELECT qid FROM questions WHERE slug IS NULL AND qname = ? ORDER BY qid LIMIT 1',
+      [fields.name.trim()]
+    );
+    if (byName.length > 0) return { id: byName[0].qid, matchedBy: 'name' };
+    return null;
+  }
+
+  // Upserts validated package questions (each with a slug) in a single
+  // transaction. With dryRun nothing is written. Resolves to a report:
+  // { dryRun, created: [{ slug, name }], updated: [{ slug, id, matchedBy, changes }],
+  //   unchanged: [{ slug, id }] }
+  async function importQuestions(questions, { dryRun = false, editorId = null, note = 'Imported' } = {}) {
+    const report = { dryRun, created: [], updated: [], unchanged: [] };
+
+    const run = async (conn) => {
+      for (const fields of questions) {
+        const match = await findForImport(conn, fields);
+        if (!match) {
+          const id = dryRun ? null : await insertQuestion(conn, fields, { editorId, note });
+          report.created.push({ slug: fields.slug, id, name: fields.name.trim() });
+          continue;
+        }
+
+        const current = await loadQuestion(conn, match.id, { lock: !dryRun });
+        const changes = diffQuestion(current, fields);
+        if (changes.length === 0) {
+          report.unchanged.push({ slug: fields.slug, id: match.id });
+          continue;
+        }
+        let version = current.version + 1;
+        if (!dryRun) {
+          const result = await editQuestion(match.id, { editorId, note }, (tx, latest) => applyChanges(tx, latest, fields), conn);
+          version = result.version;
+        }
+        report.updated.push({ slug: fields.slug, id: match.id, matchedBy: match.matchedBy, version, changes });
+      }
+    };
+
+    if (dryRun) {
+      await run(pool);
+    } else {
+      await withTransaction(run);
+    }
+    return report;
+  }
+
+  // Every question with its tests, tags and reference, for export
+  async function exportQuestions(questionIds = null) {
+    const [rows] = await pool.execute('SELECT qid FROM questions ORDER BY qid');
+    const ids = rows.map(r => r.qid).filter(id => !questionIds || questionIds.includes(id));
+    const questions = [];
+    for (const id of ids) {
+      questions.push(await loadQuestion(pool, id));
+    }
+    return questions;
+  }
+
+  async function addTest(questionId, test, meta = {}) {
+    let testId = null;
+    const result = await editQuestion(questionId, meta, async (conn, current) => {
+      if (current.tests.length >= MAX_TESTS) {
+        const error = new Error(`at most ${MAX_TESTS} tests are allowed`);
+        error.status = 400;
+        throw error;
+      }
+      const position = current.tests.reduce((max, t) => Math.max(max, t.position + 1), 0);
+      const [inserted] = await conn.execute(
+        `INSERT INTO test_cases (question_id, input, expected_output, is_hidden, position, time_limit_ms)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [questionId, test.input, test.expectedOutput, test.hidden === false ? 0 : 1, position, test.timeLimitMs || null]
+      );
+      testId = inserted.insertId;
+    });
+    return result && { ...result, testId };
+  }
+
+  // Resolves to null when the question or test does not exist
+  async function updateTest(questionId, testId, changes, meta = {}) {
+    let found = false;
+    const result = await editQuestion(questionId, meta, async (conn, current) => {
+      const test = current.tests.find(t => t.id === testId);
+      if (!test) return false;
+      found = true;
+      const next = { ...test, ...changes };
+      await conn.execute(
+        `UPDATE test_cases SET input = ?, expected_output = ?, is_hidden = ?, time_limit_ms = ? WHERE id = ?`,
+        [next.input, next.expectedOutput, next.hidden ? 1 : 0, next.timeLimitMs || null, testId]
+      );
+      return next.input !== test.input || next.expectedOutput !== test.expectedOutput
+        || next.hidden !== test.hidden || (next.timeLimitMs || null) !== (test.timeLimitMs || null);
+    });
+    return result && found ? result : null;
+  }
+
+  async function deleteTest(questionId, testId, meta = {}) {
+    let found = false;
+    const result = await editQuestion(questionId, meta, async (conn, current) => {
+      if (!current.tests.some(t => t.id === testId)) return false;
+      found = true;
+      await conn.execute('DELETE FROM test_cases WHERE id = ?', [testId]);
+    });
+    return result && found ? result : null;
+  }
+
+  // History rows are kept so the text users solved stays available
+  async function deleteQuestion(questionId) {
+    return withTransaction(async (conn) => {
+      const [result] = await conn.execute('DELETE FROM questions WHERE qid = ?', [questionId]);
+      if (result.affectedRows === 0) return false;
+      await conn.execute('DELETE FROM test_cases WHERE question_id = ?', [questionId]);
+      await conn.execute('DELETE FROM question_tags WHERE question_id = ?', [questionId]);
+      return true;
+    });
+  }
+
+  async function listVersions(questionId) {
+    const [rows] = await pool.execute(
+      `SELECT v.version, v.qname AS name, v.difficulty, v.note, v.edited_by, u.full_name AS edited_by_name, v.created_at
+       FROM question_versions v
+       LEFT JOIN users u ON u.id = v.edited_by
+       WHERE v.question_id = ?
+       ORDER BY v.version DESC`,
+      [questionId]
+    );
+    return rows;
+  }
+
+  async function getVersion(questionId, version) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM question_versions WHERE question_id = ? AND version = ?',
+      [questionId, version]
+    );
+    if (rows.length === 0) return null;
+    const row = rows[0];
+    return {
+      id: row.question_id,
+      version: row.version,
+      slug: row.slug,
+      name: row.qname,
+      description: row.qdescription,
+      sampleInput: row.sample_input,
+      sampleOutput: row.sample_output,
+      difficulty: row.difficulty,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      tests: JSON.parse(row.tests),
+      reference: row.reference_solution ? { language: row.reference_language, code: row.reference_solution } : null,
+      note: row.note,
+      editedBy: row.edited_by,
+      createdAt: row.created_at
+    };
+  }
+
+  return {
+    ensureTables,
+    getQuestion,
+    listQuestions,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion,
+    addTest,
+    updateTest,
+    deleteTest,
+    importQuestions,
+    exportQuestions,
+    listVersions,
+    getVersion
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  createQuestionStore,
+  diffQuestion,
+  normalizeTags,
+  slugify,
+  validateQuestion,
+  validateTest,
+  validateTests,
+  validateNote
+};
@@ -0,0 +1,36 @@
+// Topic taxonomy for question tags. These are the dsaTopics shown on the chat
+// page (finalfinalfinalfinal.html); keep the two lists in sync.
+//
+// Tags are stored as slugs ("dynamic-programming"); resolveTopic() accepts a
+// slug or the display name in any case.
+
+const DSA_TOPICS = [
+  "Arrays", "Linked Lists", "Stacks", "Queues", "Hash Tables",
+  "Binary Trees", "Binary Search Trees", "Heaps", "Graphs",
+  "Breadth-First Search", "Depth-First Search", "Dijkstra's Algorithm",
+  "Dynamic Programming", "Divide and Conquer", "Sorting Algorithms",
+  "Searching Algorithms", "Recursion", "Backtracking", "Greedy Algorithms"
+];
+
+function topicSlug(name) {
+  return name.toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+const TOPICS = DSA_TOPICS.map(name => ({ slug: topicSlug(name), name }));
+const BY_KEY = new Map();
+TOPICS.forEach(topic => {
+  BY_KEY.set(topic.slug, topic);
+  BY_KEY.set(topic.name.toLowerCase(), topic);
+});
+
+// Returns { slug, name } or null for tags outside the taxonomy
+function resolveTopic(tag) {
+  if (typeof tag !== 'string') return null;
+  const key = tag.trim().toLowerCase();
+  return BY_KEY.get(key) || BY_KEY.get(topicSlug(key)) || null;
+}
+
+module.exports = {
+  TOPICS,
+  resolveTopic
+};
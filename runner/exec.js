@@ -0,0 +1,390 @@
+// Code runner: WebSocket endpoint (/ws/runner) plus a programmatic API.
+//
+//   const attachRunner = require('./runner/exec');
+//   attachRunner(server, { authCheck: async (req) => userIdOrNull });
+//
+// Client -> server frames (JSON):
+//   { type: "run",  runId, language, code, stdin }
+//   { type: "kill", runId }
+// Server -> client frames:
+//   { type: "ready", languages, limits }
+//   { type: "queued",  runId }
+//   { type: "started", runId, phase: "compile" | "run" }
+//   { type: "stdout" | "stderr", runId, phase, data }
+//   { type: "exit", runId, status, exitCode, signal, durationMs }
+//   { type: "error", runId?, code, message }
+// status is ok, compile_error, runtime_error, timeout, cpu_limit,
+// output_limit or killed.
+//
+// Each run gets a fresh temp directory, CPU/memory/file-size limits through
+// prlimit, a wall-clock timer and no network (see runner/sandbox.js).
+// createSubmission() exposes the same pipeline for the judge: compile once,
+// execute many times, dispose.
+
+const WebSocket = require('ws');
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LANGUAGES, resolveLanguage } = require('./languages');
+const { detectSandbox, wrapCommand } = require('./sandbox');
+
+const env = process.env;
+
+const DEFAULT_LIMITS = {
+  wallTimeMs: parseInt(env.RUNNER_WALL_TIME_MS) || 5000,
+  cpuSeconds: parseInt(env.RUNNER_CPU_SECONDS) || 3,
+  memoryMb: parseInt(env.RUNNER_MEMORY_MB) || 256,
+  fileSizeMb: parseInt(env.RUNNER_FILE_SIZE_MB) || 8,
+  outputBytes: parseInt(env.RUNNER_OUTPUT_BYTES) || 64 * 1024,
+  maxProcesses: parseInt(env.RUNNER_MAX_PROCESSES) || null
+};
+const COMPILE_LIMITS = {
+  wallTimeMs: parseInt(env.RUNNER_COMPILE_TIME_MS) || 20000,
+  cpuSeconds: 15,
+  memoryMb: 1024,
+  fileSizeMb: 64,
+  outputBytes: 32 * 1024,
+  maxProcesses: null
+};
+const MAX_CODE_BYTES = 64 * 1024;
+const MAX_STDIN_BYTES = 1024 * 1024;
+const MAX_CONCURRENT_RUNS = parseInt(env.RUNNER_MAX_CONCURRENT) || 2;
+const ALLOW_UNSANDBOXED = env.RUNNER_ALLOW_UNSANDBOXED === 'true';
+// Optional unprivileged account for child processes
+const RUNNER_UID = env.RUNNER_UID ? parseInt(env.RUNNER_UID) : undefined;
+const RUNNER_GID = env.RUNNER_GID ? parseInt(env.RUNNER_GID) : undefined;
+
+const sandbox = detectSandbox(env.RUNNER_SANDBOX || 'auto', { dedicatedUser: RUNNER_UID !== undefined });
+
+function runnerError(code, message) {
+  const error = new Error(message);
+  error.name = 'RunnerError';
+  error.code = code;
+  return error;
+}
+
+// ==================== CONCURRENCY ====================
+let activeRuns = 0;
+const waitingRuns = [];
+
+function acquireSlot() {
+  if (activeRuns < MAX_CONCURRENT_RUNS) {
+    activeRuns++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingRuns.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waitingRuns.shift();
+  if (next) {
+    next();
+  } else {
+    activeRuns--;
+  }
+}
+
+// Run fn while holding one of the RUNNER_MAX_CONCURRENT slots
+async function withRunSlot(fn) {
+  await acquireSlot();
+  try {
+    return await fn();
+  } finally {
+    releaseSlot();
+  }
+}
+
+// ==================== PROCESS EXECUTION ====================
+
+// Runs one sandboxed process and resolves with its outcome
+function runProcess(argv, { workDir, limits, stdin, onOutput, signal }) {
+  return new Promise((resolve) => {
+    const addressSpaceMb = limits.memoryMb + (limits.extraAddressSpaceMb || 0);
+    const { command, args, cwd } = wrapCommand(argv, {
+      sandbox,
+      workDir,
+      limits: { ...limits, addressSpaceMb }
+    });
+
+    const startedAt = Date.now();
+    const child = spawn(command, args, {
+      cwd,
+      env: {
+        PATH: env.RUNNER_PATH || env.PATH,
+        HOME: workDir,
+        TMPDIR: workDir,
+        LANG: 'C.UTF-8'
+      },
+      uid: RUNNER_UID,
+      gid: RUNNER_GID,
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let outputBytes = 0;
+    let status = null;
+    let finished = false;
+
+    // Kill the whole process group (sandbox wrapper and everything it forked)
+    const kill = (reason) => {
+      if (finished) return;
+      if (!status) status = reason;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    };
+
+    const timer = setTimeout(() => kill('timeout'), limits.wallTimeMs);
+    const onAbort = () => kill('killed');
+    if (signal) {
+      if (signal.aborted) onAbort();
+      signal.addEventListener('abort', onAbort);
+    }
+
+    for (const stream of ['stdout', 'stderr']) {
+      const decoder = new StringDecoder('utf8');
+      child[stream].on('data', (chunk) => {
+        if (status === 'output_limit') return;
+        outputBytes += chunk.length;
+        if (outputBytes > limits.outputBytes) {
+          onOutput(stream, decoder.write(chunk.subarray(0, Math.max(0, chunk.length - (outputBytes - limits.outputBytes)))));
+          kill('output_limit');
+          return;
+        }
+        const text = decoder.write(chunk);
+        if (text) onOutput(stream, text);
+      });
+    }
+
+    child.stdin.on('error', () => {}); // Program exited without reading its input
+    child.stdin.end(stdin || '');
+
+    const done = (exitCode, exitSignal, spawnError) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      if (!status) {
+        if (spawnError) {
+          status = 'runtime_error';
+          onOutput('stderr', `Could not start ${argv[0]}: ${spawnError.message}\n`);
+        } else if (exitSignal === 'SIGXCPU' || (exitSignal === 'SIGKILL' && Date.now() - startedAt >= limits.cpuSeconds * 1000)) {
+          // Soft CPU limit sends SIGXCPU, the hard limit one second later SIGKILL
+          status = 'cpu_limit';
+        } else if (exitCode === 0) {
+          status = 'ok';
+        } else {
+          status = 'runtime_error';
+        }
+      }
+      resolve({
+        status,
+        exitCode: exitCode === null ? null : exitCode,
+        signal: exitSignal || null,
+        durationMs: Date.now() - startedAt
+      });
+    };
+
+    child.on('error', (error) => done(null, null, error));
+    child.on('close', (code, sig) => done(code, sig));
+  });
+}
+
+// ==================== SUBMISSIONS ====================
+
+// Prepares a work directory for one program. Call compile() once (no-op for
+// interpreted languages), execute() per input, and always dispose().
+async function createSubmission({ language, code, limits = {} }) {
+  const lang = resolveLanguage(language);
+  if (!lang) {
+    throw runnerError('bad_language', `Unsupported language "${language}" (expected ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  if (typeof code !== 'string' || code.trim() === '') {
+    throw runnerError('bad_request', 'Code is empty');
+  }
+  if (Buffer.byteLength(code) > MAX_CODE_BYTES) {
+    throw runnerError('bad_request', `Code is larger than ${MAX_CODE_BYTES / 1024} KB`);
+  }
+  if (sandbox === 'none' && !ALLOW_UNSANDBOXED) {
+    throw runnerError('sandbox_unavailable', 'Code execution is disabled: no sandbox (bwrap, or unshare with RUNNER_UID) is available on this server');
+  }
+
+  const runLimits = { ...DEFAULT_LIMITS, ...limits, extraAddressSpaceMb: lang.extraAddressSpaceMb || 0 };
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'runner-'));
+  await fs.promises.writeFile(path.join(workDir, lang.file(code)), code);
+  // Sandboxed processes may run as another uid
+  await fs.promises.chmod(workDir, 0o777);
+
+  const context = { code, memoryMb: runLimits.memoryMb };
+
+  return {
+    language: lang.id,
+    limits: runLimits,
+    needsCompile: !!lang.compile,
+
+    async compile({ onOutput = () => {}, signal } = {}) {
+      if (!lang.compile) return { status: 'ok', exitCode: 0, signal: null, durationMs: 0 };
+      const result = await runProcess(lang.compile(context), {
+        workDir,
+        limits: { ...COMPILE_LIMITS, extraAddressSpaceMb: 0 },
+        onOutput,
+        signal
+      });
+      if (result.status !== 'ok' && result.status !== 'killed') {
+        result.status = 'compile_error';
+      }
+      return result;
+    },
+
+    // limits may override the submission's wall/CPU time for a single input
+    execute({ stdin = '', onOutput = () => {}, signal, limits: overrides = {} } = {}) {
+      if (Buffer.byteLength(stdin) > MAX_STDIN_BYTES) {
+        return Promise.reject(runnerError('bad_request', `Input is larger than ${MAX_STDIN_BYTES / 1024} KB`));
+      }
+      return runProcess(lang.run(context), { workDir, limits: { ...runLimits, ...overrides }, stdin, onOutput, signal });
+    },
+
+    async dispose() {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  };
+}
+
+// ==================== WEBSOCKET ====================
+
+function attachRunner(server, { authCheck = () => false, path: wsPath = '/ws/runner' } = {}) {
+  console.log(`[RUNNER] Sandbox: ${sandbox}${sandbox === 'none' && !ALLOW_UNSANDBOXED ? ' (execution disabled)' : ''}`);
+
+  const wss = new WebSocket.Server({
+    server,
+    path: wsPath,
+    maxPayload: MAX_CODE_BYTES + MAX_STDIN_BYTES + 4096,
+    verifyClient: (info, done) => {
+      Promise.resolve(authCheck(info.req))
+        .then(user => {
+          if (!user) return done(false, 401, 'Unauthorized');
+          info.req.runnerUser = user;
+          done(true);
+        })
+        .catch(error => {
+          console.error('[RUNNER ERROR] Auth check failed:', error.message);
+          done(false, 500, 'Server error');
+        });
+    }
+  });
+
+  wss.on('connection', (ws, req) => {
+    const user = req.runnerUser;
+    const runs = new Map();
+
+    const send = (frame) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(frame));
+      }
+    };
+
+    send({
+      type: 'ready',
+      languages: Object.entries(LANGUAGES).map(([id, l]) => ({ id, label: l.label })),
+      limits: {
+        wallTimeMs: DEFAULT_LIMITS.wallTimeMs,
+        cpuSeconds: DEFAULT_LIMITS.cpuSeconds,
+        memoryMb: DEFAULT_LIMITS.memoryMb,
+        outputBytes: DEFAULT_LIMITS.outputBytes
+      }
+    });
+
+    async function handleRun({ runId, language, code, stdin }) {
+      if (typeof runId !== 'string' || !runId || runId.length > 64) {
+        return send({ type: 'error', code: 'bad_request', message: 'runId must be a string of at most 64 characters' });
+      }
+      if (runs.has(runId)) {
+        return send({ type: 'error', runId, code: 'duplicate_run', message: 'A run with this ID is already active' });
+      }
+      // One program at a time per connection
+      if (runs.size > 0) {
+        return send({ type: 'error', runId, code: 'busy', message: 'Another run is still active on this connection' });
+      }
+
+      const controller = new AbortController();
+      runs.set(runId, controller);
+      let submission = null;
+      let slot = false;
+
+      try {
+        submission = await createSubmission({ language, code });
+        send({ type: 'queued', runId });
+        await acquireSlot();
+        slot = true;
+        if (controller.signal.aborted) {
+          return send({ type: 'exit', runId, status: 'killed', exitCode: null, signal: null, durationMs: 0 });
+        }
+        console.log(`[RUNNER] user ${user} run ${runId} (${submission.language})`);
+
+        const stream = (phase) => (name, data) => send({ type: name, runId, phase, data });
+
+        if (submission.needsCompile) {
+          send({ type: 'started', runId, phase: 'compile' });
+        }
+        const compiled = await submission.compile({ onOutput: stream('compile'), signal: controller.signal });
+        if (compiled.status !== 'ok') {
+          return send({ type: 'exit', runId, phase: 'compile', ...compiled });
+        }
+
+        send({ type: 'started', runId, phase: 'run' });
+        const result = await submission.execute({
+          stdin: typeof stdin === 'string' ? stdin : '',
+          onOutput: stream('run'),
+          signal: controller.signal
+        });
+        send({ type: 'exit', runId, phase: 'run', ...result });
+      } catch (error) {
+        if (!error.code) console.error('[RUNNER ERROR]', error.message);
+        send({ type: 'error', runId, code: error.code || 'runner_error', message: error.code ? error.message : 'Could not run your code' });
+      } finally {
+        if (slot) releaseSlot();
+        if (submission) await submission.dispose();
+        runs.delete(runId);
+      }
+    }
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return send({ type: 'error', code: 'bad_request', message: 'Frames must be JSON' });
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return send({ type: 'error', code: 'bad_request', message: 'Frames must be JSON objects' });
+      }
+
+      if (message.type === 'run') {
+        handleRun(message);
+      } else if (message.type === 'kill') {
+        const controller = runs.get(message.runId);
+        if (controller) controller.abort();
+      } else {
+        send({ type: 'error', code: 'bad_request', message: `Unknown message type "${message.type}"` });
+      }
+    });
+
+    ws.on('close', () => {
+      for (const controller of runs.values()) {
+        controller.abort();
+      }
+    });
+  });
+
+  return wss;
+}
+
+module.exports = attachRunner;
+module.exports.createSubmission = createSubmission;
+module.exports.withRunSlot = withRunSlot;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,111 @@
+// Online judge on top of the code runner.
+//
+//   const { judgeSubmission } = require('./runner/judge');
+//   const result = await judgeSubmission({ language, code, tests });
+//
+// tests: [{ id, input, expectedOutput, hidden, timeLimitMs }]
+// Resolves to { verdict, passed, total, timeMs, compileOutput, results } where
+// every result has { testId, verdict, timeMs } and, for visible tests only,
+// the input, expected and actual output. Verdicts:
+//   AC accepted, WA wrong answer, TLE time limit exceeded,
+//   RE runtime error (includes memory and output limits), CE compile error.
+// The overall verdict is the first non-AC verdict, or AC on a full pass.
+
+const { createSubmission, withRunSlot } = require('./exec');
+
+const DEFAULT_TIME_LIMIT_MS = parseInt(process.env.JUDGE_TIME_LIMIT_MS) || 2000;
+const DETAIL_CHARS = 2000;
+
+// Ignore trailing spaces on each line and trailing blank lines
+function normalizeOutput(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+function clip(text) {
+  return text.length > DETAIL_CHARS ? text.substring(0, DETAIL_CHARS) + '...' : text;
+}
+
+function verdictFor(run, stdout, expected) {
+  if (run.status === 'timeout' || run.status === 'cpu_limit') return 'TLE';
+  if (run.status !== 'ok') return 'RE';
+  return normalizeOutput(stdout) === normalizeOutput(expected) ? 'AC' : 'WA';
+}
+
+async function judgeSubmission({ language, code, tests }) {
+  const submission = await createSubmission({ language, code });
+
+  try {
+    return await withRunSlot(async () => {
+      let compileOutput = '';
+      const compiled = await submission.compile({
+        onOutput: (stream, data) => { compileOutput += data; }
+      });
+
+      if (compiled.status !== 'ok') {
+        return {
+          verdict: 'CE',
+          passed: 0,
+          total: tests.length,
+          timeMs: 0,
+          compileOutput: clip(compileOutput),
+          results: tests.map(test => ({ testId: test.id, verdict: 'CE', timeMs: 0 }))
+        };
+      }
+
+      const results = [];
+      for (const test of tests) {
+        const timeLimitMs = test.timeLimitMs || DEFAULT_TIME_LIMIT_MS;
+        let stdout = '';
+        let stderr = '';
+        const run = await submission.execute({
+          stdin: test.input,
+          onOutput: (stream, data) => {
+            if (stream === 'stdout') stdout += data;
+            else stderr += data;
+          },
+          limits: {
+            wallTimeMs: timeLimitMs * 2,
+            cpuSeconds: Math.max(1, Math.ceil(timeLimitMs / 1000))
+          }
+        });
+
+        // CPU time is only enforced in whole seconds, so check the limit on wall time too
+        let verdict = verdictFor(run, stdout, test.expectedOutput);
+        if (verdict === 'AC' && run.durationMs > timeLimitMs) {
+          verdict = 'TLE';
+        }
+
+        const result = { testId: test.id, verdict, timeMs: run.durationMs };
+        if (!test.hidden) {
+          result.input = clip(test.input);
+          result.expectedOutput = clip(test.expectedOutput);
+          result.output = clip(stdout);
+          if (stderr) result.stderr = clip(stderr);
+        }
+        results.push(result);
+      }
+
+      const failed = results.find(r => r.verdict !== 'AC');
+      return {
+        verdict: failed ? failed.verdict : 'AC',
+        passed: results.filter(r => r.verdict === 'AC').length,
+        total: results.length,
+        timeMs: results.reduce((max, r) => Math.max(max, r.timeMs), 0),
+        compileOutput: compileOutput ? clip(compileOutput) : null,
+        results
+      };
+    });
+  } finally {
+    await submission.dispose();
+  }
+}
+
+module.exports = {
+  judgeSubmission,
+  normalizeOutput
+};
@@ -0,0 +1,73 @@
+// Language table for the code runner.
+//
+// Each entry describes how to lay out the source in the work directory and
+// the argv to compile (optional) and run it. Interpreter/compiler paths can be
+// overridden with RUNNER_PYTHON, RUNNER_NODE, RUNNER_GXX, RUNNER_JAVAC and
+// RUNNER_JAVA when they are not on PATH.
+
+const env = process.env;
+
+// Java needs the file named after the public class
+function javaClassName(code) {
+  const match = code.match(/public\s+(?:final\s+|abstract\s+)*class\s+([A-Za-z_$][\w$]*)/);
+  return match ? match[1] : 'Main';
+}
+
+const LANGUAGES = {
+  python: {
+    label: 'Python 3',
+    file: () => 'main.py',
+    run: () => [env.RUNNER_PYTHON || 'python3', '-B', '-u', 'main.py']
+  },
+  javascript: {
+    label: 'JavaScript (Node.js)',
+    file: () => 'main.js',
+    run: ({ memoryMb }) => [env.RUNNER_NODE || 'node', `--max-old-space-size=${memoryMb}`, 'main.js'],
+    // V8 reserves its code range up front; the heap itself is capped above
+    extraAddressSpaceMb: 1024
+  },
+  cpp: {
+    label: 'C++17 (g++)',
+    file: () => 'main.cpp',
+    compile: () => [env.RUNNER_GXX || 'g++', '-O2', '-std=c++17', '-pipe', '-o', 'main', 'main.cpp'],
+    run: () => ['./main']
+  },
+  java: {
+    label: 'Java',
+    file: (code) => `${javaClassName(code)}.java`,
+    compile: ({ code }) => [env.RUNNER_JAVAC || 'javac', '-J-Xmx256m', `${javaClassName(code)}.java`],
+    run: ({ code, memoryMb }) => [
+      env.RUNNER_JAVA || 'java',
+      `-Xmx${memoryMb}m`,
+      '-Xss64m',
+      '-XX:+UseSerialGC',
+      '-XX:TieredStopAtLevel=1',
+      '-XX:ReservedCodeCacheSize=64m',
+      '-XX:MaxMetaspaceSize=128m',
+      '-XX:CompressedClassSpaceSize=64m',
+      javaClassName(code)
+    ],
+    // The JVM reserves address space well beyond its heap
+    extraAddressSpaceMb: 1024
+  }
+};
+
+const ALIASES = {
+  py: 'python',
+  python3: 'python',
+  js: 'javascript',
+  node: 'javascript',
+  'c++': 'cpp',
+  cxx: 'cpp'
+};
+
+function resolveLanguage(name) {
+  if (typeof name !== 'string') return null;
+  const key = ALIASES[name.toLowerCase()] || name.toLowerCase();
+  return LANGUAGES[key] ? { id: key, ...LANGUAGES[key] } : null;
+}
+
+module.exports = {
+  LANGUAGES,
+  resolveLanguage
+};
@@ -0,0 +1,121 @@
+// Process isolation for the code runner.
+//
+// Every command is wrapped as:
+//   prlimit <cpu/memory/file limits> -- <isolation> <argv>
+// where isolation is one of
+//   bwrap   - bubblewrap: new namespaces (no network), read-only system
+//             dirs, the work directory mounted at /sandbox, private /tmp
+//   unshare - util-linux unshare: new user and network namespaces; the
+//             program is exec'd directly so its exit signal (e.g. SIGXCPU)
+//             reaches the runner. The rest of the filesystem stays visible,
+//             so only file permissions keep programs away from the server's
+//             files (.env, sources): this mode is only used when runs have a
+//             dedicated RUNNER_UID.
+//   none    - limits only. Refused unless RUNNER_ALLOW_UNSANDBOXED=true.
+//
+// RUNNER_SANDBOX=auto (default) picks the first one that works on this host.
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+
+const SANDBOX_DIR = '/sandbox';
+
+// System paths bubblewrap exposes read-only; RUNNER_RO_BINDS adds more
+// (colon separated, e.g. a pyenv or JDK install outside /usr)
+const DEFAULT_RO_BINDS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/lib32', '/etc/alternatives', '/etc/ld.so.cache', '/etc/java-17-openjdk', '/etc/java-21-openjdk'];
+
+function works(command, args) {
+  try {
+    return spawnSync(command, args, { stdio: 'ignore', timeout: 5000 }).status === 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+// dedicatedUser: child processes run as RUNNER_UID. Without it unshare is
+// never picked, and a host without bwrap fails closed ('none').
+function detectSandbox(preferred = 'auto', { dedicatedUser = false } = {}) {
+  const candidates = preferred === 'auto' ? ['bwrap', 'unshare'] : [preferred];
+  for (const kind of candidates) {
+    if (kind === 'none') return 'none';
+    if (kind === 'bwrap' && works('bwrap', ['--unshare-all', '--ro-bind', '/', '/', '--', 'true'])) return 'bwrap';
+    if (kind === 'unshare') {
+      if (!dedicatedUser) {
+        console.warn('[RUNNER] unshare sandbox needs RUNNER_UID (it does not hide the host filesystem); not using it');
+        continue;
+      }
+      if (works('unshare', ['--user', '--map-root-user', '--net', 'true'])) return 'unshare';
+    }
+  }
+  return 'none';
+}
+
+function roBinds() {
+  const extra = (process.env.RUNNER_RO_BINDS || '').split(':').filter(Boolean);
+  return [...DEFAULT_RO_BINDS, ...extra].filter(p => fs.existsSync(p));
+}
+
+function prlimitArgs(limits) {
+  const args = [
+    `--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + 1}`,
+    `--as=${limits.addressSpaceMb * 1024 * 1024}`,
+    `--fsize=${limits.fileSizeMb * 1024 * 1024}`,
+    '--nofile=64',
+    '--core=0'
+  ];
+  // RLIMIT_NPROC counts every process of the uid, so it only makes sense
+  // when runs use a dedicated RUNNER_UID
+  if (limits.maxProcesses) {
+    args.push(`--nproc=${limits.maxProcesses}`);
+  }
+  return args;
+}
+
+// Returns the command to spawn and the directory the program sees as cwd
+function wrapCommand(argv, { sandbox, workDir, limits }) {
+  const limited = ['prlimit', ...prlimitArgs(limits), '--'];
+
+  if (sandbox === 'bwrap') {
+    const binds = roBinds().flatMap(p => ['--ro-bind', p, p]);
+    return {
+      command: limited[0],
+      args: [
+        ...limited.slice(1),
+        'bwrap',
+        '--unshare-all',
+        '--die-with-parent',
+        '--new-session',
+        ...binds,
+        '--proc', '/proc',
+        '--dev', '/dev',
+        '--tmpfs', '/tmp',
+        '--bind', workDir, SANDBOX_DIR,
+        '--chdir', SANDBOX_DIR,
+        '--setenv', 'HOME', SANDBOX_DIR,
+        '--setenv', 'TMPDIR', '/tmp',
+        '--',
+        ...argv
+      ],
+      cwd: workDir
+    };
+  }
+
+  if (sandbox === 'unshare') {
+    return {
+      command: limited[0],
+      args: [...limited.slice(1), 'unshare', '--user', '--map-root-user', '--net', '--', ...argv],
+      cwd: workDir
+    };
+  }
+
+  return {
+    command: limited[0],
+    args: [...limited.slice(1), ...argv],
+    cwd: workDir
+  };
+}
+
+module.exports = {
+  detectSandbox,
+  wrapCommand
+};
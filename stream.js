@@ -3,14 +3,15 @@ const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
 const mysql = require('mysql2/promise');
+const { createProviderFromEnv } = require('./llm/providers');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server, path: "/ws/llm" });
 
 const PORT = process.env.PORT || 8000;
-const MODEL_NAME = process.env.MODEL_NAME || "codellama:latest";
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434";
+// LLM backend - LLM_PROVIDER=ollama|openai|mock, see llm/providers.js
+const llm = createProviderFromEnv();
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || "127.0.0.1",
@@ -56,14 +57,13 @@ async function validateUserSession(cookieHeader) {
 
 // Routes
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", model: MODEL_NAME });
+  res.json({ status: "ok", provider: llm.name, model: llm.model });
 });
 
 app.get("/test-ollama", async (req, res) => {
   try {
-    const response = await fetch(`${OLLAMA_URL}/api/tags`, { timeout: 5000 });
-    const data = await response.json();
-    res.json({ status: "ok", models: data.models.map(m => m.name) });
+    const models = await llm.listModels();
+    res.json({ status: "ok", provider: llm.name, models });
   } catch (e) {
     res.json({ status: "error", error: e.message });
   }
@@ -79,71 +79,22 @@ wss.on("connection", async (ws, req) => {
     console.log(`[${id}] PROMPT: "${prompt}"`);
 
     try {
-      const response = await fetch(`${OLLAMA_URL}/api/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: MODEL_NAME,
-          prompt: prompt,
-          stream: true,
-          options: {
-            temperature: 0.7
-          }
-        })
-      });
-
-      if (!response.ok) {
-        ws.send(JSON.stringify({ type: "error", content: `Ollama responded with status ${response.status}` }));
-        return;
-      }
-
-      if (!response.body) {
-        ws.send(JSON.stringify({ type: "error", content: "No response body from Ollama" }));
-        return;
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
-      let fullResponse = "";
-
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
-        
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || "";
-
-        for (const line of lines) {
-          if (line.trim() === '') continue;
-          
-          try {
-            const json = JSON.parse(line);
-            if (json.response) {
-              fullResponse += json.response;
-              // Send tokens as they arrive in a structured format
-              ws.send(JSON.stringify({ 
-                type: "stream", 
-                content: json.response 
-              }));
-            }
-            if (json.done) {
-              // Send completion signal
-              ws.send(JSON.stringify({ 
-                type: "complete", 
-                content: fullResponse 
-              }));
-              break;
-            }
-          } catch (e) {
-            // Ignore parse errors
-          }
+      const { content: fullResponse } = await llm.chat(
+        { messages: [{ role: 'user', content: prompt }] },
+        (token) => {
+          // Send tokens as they arrive in a structured format
+          ws.send(JSON.stringify({ 
+            type: "stream", 
+            content: token 
+          }));
         }
-      }
+      );
+
+      // Send completion signal
+      ws.send(JSON.stringify({ 
+        type: "complete", 
+        content: fullResponse 
+      }));
 
     } catch (error) {
       console.error(`[${id}] ERROR:`, error.message);
@@ -160,6 +111,6 @@ wss.on("connection", async (ws, req) => {
 
 server.listen(PORT, () => {
   console.log(`\nServer running on ${PORT}`);
-  console.log(`Model: ${MODEL_NAME}`);
-  console.log(`Ollama: ${OLLAMA_URL}\n`);
+  console.log(`Model: ${llm.model}`);
+  console.log(`Provider: ${llm.name}${llm.baseUrl ? ` (${llm.baseUrl})` : ''}\n`);
 });